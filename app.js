@@ -1,307 +1,2070 @@
+import {
+  MAX_PHRASE_WORDS,
+  binarySearch,
+  clearSelection,
+  createReaderState,
+  extendSelectionTo,
+  findSentenceAt,
+  findSentences,
+  navigate,
+  navigateSentence,
+  resizeSelection,
+  selectRange,
+  selectWordAt,
+} from './reader.js';
+import { readAloud } from './speech.js';
+import { findWords, normalizeText } from './text.js';
+
 // ===== GLOBAL STATE =====
-let englishDictionary = new Map();
-let chineseDictionary = new Map();
-let chineseEnabled = false;
+let dictionaryWorker = null;
+let dictionaries = [];
 let showHelp = false;
-let currentText = '';
-let wordPositions = [];
-let currentWordIndex = null;
-let currentSelection = null;
+// The text, its words and the selection (see createReaderState in reader.js)
+let reader = createReaderState('');
+let vocabulary = [];
+let vocabularySort = 'saved';
+let vocabularyRanks = new Map();
+let wordStatuses = {};
+let textHistory = [];
+let currentHistoryId = null;
+let activePanel = null;
+let segmentMode = 'off';
+let segments = null;
+let speechEngine = null;
+let speechPreferences = { voiceId: null, rate: 1 };
+let speakingRange = null;
+let speakingWord = null;
+// The rendered text (see renderText), and the selection the reader last scrolled to
+let textView = null;
+let scrolledSelection = null;
+
+// ===== DICTIONARY WORKER =====
+// Dictionaries are loaded and searched in dictionary-worker.js so that the UI stays
+// responsive. Lookups return promises and wait for the dictionaries to finish loading.
+let nextRequestId = 0;
+const pendingRequests = new Map();
+let pendingAction = Promise.resolve();
+
+function startDictionaryWorker() {
+  dictionaryWorker = new Worker('dictionary-worker.js', { type: 'module' });
+  dictionaryWorker.addEventListener('message', handleWorkerMessage);
+  dictionaryWorker.addEventListener('error', (event) => {
+    showDictionaryStatus('Error: ' + (event.message || 'failed to load dictionaries'), true);
+  });
+  callDictionary('setMaxPhraseWords', settings.maxPhraseWords);
+  loadDictionaries();
+}
 
-// ===== DICTIONARY LOADING =====
-function parseDictionary(content, targetMap) {
-  const lines = content.split('\n');
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
+/**
+ * Sends the dictionary registry to the worker, followed by the contents of the
+ * user's own dictionaries from IndexedDB.
+ */
+async function loadDictionaries() {
+  showDictionaryStatus('Loading dictionaries…');
+  try {
+    await callDictionary('setDictionaries', dictionaries);
+    for (const { id, content } of await getUserDictionaries()) {
+      await callDictionary('addDictionary', id, content);
+    }
+    const frequencyWords = await callDictionary('loadFrequencyList', FREQUENCY_LIST_URL);
+    console.log(`Dictionaries loaded successfully (${frequencyWords} words in the frequency list).`);
+    showDictionaryStatus(null);
+  } catch (err) {
+    console.error('Failed to load dictionaries:', err);
+    showDictionaryStatus('Error: ' + err.message, true);
+  }
+}
 
-    const colonIndex = trimmed.indexOf(':');
-    if (colonIndex === -1) continue;
+function handleWorkerMessage(event) {
+  const { id, result, error } = event.data;
 
-    const term = trimmed.substring(0, colonIndex).trim().toLowerCase();
-    const definition = trimmed.substring(colonIndex + 1).trim();
-    targetMap.set(term, definition);
+  const request = pendingRequests.get(id);
+  if (!request) return;
+  pendingRequests.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(result);
   }
 }
 
-async function loadDictionaries() {
-  // Load both dictionaries in parallel
-  const [enDictFetch, zhDictFetch] = await Promise.all([
-    fetch('vnedict.txt'),
-    fetch('zh/dict.txt')
-  ]);
-
-  const enDictText = await enDictFetch.text();
-  const zhDictText = await zhDictFetch.text();
+/**
+ * Calls a lookup method in the dictionary worker.
+ *
+ * @param {string} method - Name of a method in the worker's methods table
+ * @param {...*} args - Arguments passed to the method (must be cloneable)
+ * @returns {Promise<*>} Resolves with the method's return value
+ */
+function callDictionary(method, ...args) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    dictionaryWorker.postMessage({ id, method, args });
+  });
+}
 
-  parseDictionary(enDictText, englishDictionary);
-  parseDictionary(zhDictText, chineseDictionary);
+/**
+ * Queues a user action so that actions run one at a time, in order. Selection
+ * logic awaits dictionary lookups, and without the queue a fast sequence of key
+ * presses could interleave and read each other's half-updated state.
+ */
+function runAction(action) {
+  pendingAction = pendingAction
+    .then(action)
+    .catch(err => console.error('Action failed:', err));
+  return pendingAction;
 }
 
-// ===== DICTIONARY LOOKUP =====
-function findLongestMatchStartingWith(text, startIndex) {
-  const remainingText = text.substring(startIndex);
+function showDictionaryStatus(message, isError = false) {
+  const status = document.getElementById('dictionary-status');
+  status.textContent = message || '';
+  status.classList.toggle('hidden', !message);
+  status.classList.toggle('error', isError);
+}
 
-  // Match a sequence of words separated by spaces
-  const match = remainingText.match(/^[a-zA-ZÀ-ỹ]+(?: +[a-zA-ZÀ-ỹ]+)*/);
-  if (!match) return null;
+// ===== DICTIONARY REGISTRY =====
+// Dictionaries in the user's order. Each contains:
+//   - id: Unique identifier
+//   - name: Display name
+//   - language: Language of the definitions ('en', 'zh', 'vi' or 'other')
+//   - enabled: Whether the dictionary is used for lookups
+//   - builtIn: Whether the dictionary ships with the app (with indexUrl and textUrl),
+//     as opposed to being imported by the user and stored in IndexedDB
+// The order and enabled flags are kept in localStorage.
+const DICTIONARIES_STORAGE_KEY = 'dictionaries';
+
+const BUILT_IN_DICTIONARIES = [
+  {
+    id: 'vnedict', name: 'VNEDICT', language: 'en', enabled: true, builtIn: true,
+    indexUrl: 'index/vnedict.json', textUrl: 'vnedict.txt',
+  },
+  {
+    id: 'zh', name: 'Wiktionary (中文)', language: 'zh', enabled: false, builtIn: true,
+    indexUrl: 'index/zh.json', textUrl: 'zh/dict.txt',
+    charactersIndexUrl: 'index/zh-chars.json', charactersTextUrl: 'zh/chars.txt',
+  },
+];
+
+// Word-frequency list, one word per line, most common first
+const FREQUENCY_LIST_URL = 'frequency.txt';
+
+const LANGUAGE_NAMES = { en: 'English', zh: 'Chinese', vi: 'Vietnamese', other: 'Other' };
+
+function loadDictionaryRegistry() {
+  let stored = [];
+  try {
+    stored = JSON.parse(localStorage.getItem(DICTIONARIES_STORAGE_KEY)) || [];
+  } catch (err) {
+    console.error('Failed to load dictionary settings:', err);
+  }
 
-  const sequence = match[0];
-  const words = sequence.split(/ +/);
+  // Built-in dictionaries take their details from the app, and only their
+  // position and enabled flag from storage
+  dictionaries = stored.map(item => {
+    const builtIn = BUILT_IN_DICTIONARIES.find(dictionary => dictionary.id === item.id);
+    return builtIn ? { ...builtIn, enabled: item.enabled } : item;
+  }).filter(item => !item.builtIn || BUILT_IN_DICTIONARIES.some(dictionary => dictionary.id === item.id));
 
-  // Try matches from longest to shortest (up to 10 words)
-  const maxWords = Math.min(words.length, 10);
-  for (let i = maxWords; i >= 1; i--) {
-    const phrase = words.slice(0, i).join(' ').toLowerCase();
-    const definition = englishDictionary.get(phrase);
-    if (definition) {
-      return { word: phrase, definition };
+  for (const builtIn of BUILT_IN_DICTIONARIES) {
+    if (!dictionaries.some(dictionary => dictionary.id === builtIn.id)) {
+      dictionaries.push({ ...builtIn });
     }
   }
-  return null;
 }
 
-function findLongestMatchEndingWith(text, endIndex) {
-  const textBefore = text.substring(0, endIndex);
+function storeDictionaryRegistry() {
+  try {
+    localStorage.setItem(DICTIONARIES_STORAGE_KEY, JSON.stringify(dictionaries.map(
+      ({ id, name, language, enabled, builtIn }) => ({ id, name, language, enabled, builtIn })
+    )));
+  } catch (err) {
+    console.error('Failed to save dictionary settings:', err);
+  }
+}
 
-  // Match a sequence of words separated by spaces, ending at endIndex
-  const match = textBefore.match(/[a-zA-ZÀ-ỹ]+(?: +[a-zA-ZÀ-ỹ]+)*$/);
-  if (!match) return null;
+/**
+ * Stores the registry and sends it to the worker, then refreshes the current
+ * selection and segments, whose results depend on the enabled dictionaries.
+ */
+async function applyDictionaryRegistry() {
+  storeDictionaryRegistry();
 
-  const sequence = match[0];
-  const words = sequence.split(/ +/);
+  showDictionaryStatus('Loading dictionaries…');
+  try {
+    await callDictionary('setDictionaries', dictionaries);
+    showDictionaryStatus(null);
+  } catch (err) {
+    console.error('Failed to load dictionaries:', err);
+    showDictionaryStatus('Error: ' + err.message, true);
+  }
 
-  // Try matches from longest to shortest (up to 10 words)
-  const maxWords = Math.min(words.length, 10);
-  for (let i = maxWords; i >= 1; i--) {
-    const phrase = words.slice(-i).join(' ').toLowerCase();
-    const definition = englishDictionary.get(phrase);
-    if (definition) {
-      return { word: phrase, definition };
-    }
+  if (reader.selection) {
+    reader = await selectRange(reader, reader.selection.startIndex, reader.selection.endIndex, readerDictionary);
+    await updateSelectionDetails();
   }
-  return null;
+  updateSegments();
+  render();
+}
+
+// User dictionaries are stored in IndexedDB as { id, name, content } records
+const DATABASE_NAME = 'vietnamese-clipboard-reader';
+const DICTIONARY_STORE = 'dictionaries';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(DICTIONARY_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs a single request against the dictionary store.
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Resolves with the request's result
+ */
+async function withDictionaryStore(mode, makeRequest) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(DICTIONARY_STORE, mode);
+    const request = makeRequest(transaction.objectStore(DICTIONARY_STORE));
+    transaction.oncomplete = () => {
+      database.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      database.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+async function getUserDictionaries() {
+  if (!('indexedDB' in window)) return [];
+
+  const records = await withDictionaryStore('readonly', store => store.getAll());
+  // Skip dictionaries whose registry entry was lost
+  return records.filter(record => dictionaries.some(dictionary => dictionary.id === record.id));
+}
+
+/**
+ * Imports a dictionary file in "term : definition" or tab-separated format.
+ *
+ * @returns {Promise<number>} Number of terms imported
+ */
+async function importDictionary(file, name, language) {
+  const content = await file.text();
+  const id = 'user-' + Date.now().toString(36);
+
+  await withDictionaryStore('readwrite', store => store.put({ id, name, content }));
+  dictionaries.push({ id, name, language, enabled: true, builtIn: false });
+
+  const termCount = await callDictionary('addDictionary', id, content);
+  await applyDictionaryRegistry();
+  return termCount;
+}
+
+async function deleteDictionary(id) {
+  await withDictionaryStore('readwrite', store => store.delete(id));
+  dictionaries = dictionaries.filter(dictionary => dictionary.id !== id);
+  await callDictionary('removeDictionary', id);
+  await applyDictionaryRegistry();
+}
+
+function moveDictionary(id, offset) {
+  const index = dictionaries.findIndex(dictionary => dictionary.id === id);
+  const newIndex = index + offset;
+  if (index === -1 || newIndex < 0 || newIndex >= dictionaries.length) return;
+
+  const [dictionary] = dictionaries.splice(index, 1);
+  dictionaries.splice(newIndex, 0, dictionary);
 }
 
 // ===== CLIPBOARD READING =====
+// The clipboard is read with the Load clipboard button and, if the user turns on
+// settings.watchClipboard, whenever the app comes back into view, like Pleco's
+// clipboard reader. Problems reading it are explained in the clipboard message
+// under the top bar, along with pasting as the fallback.
+const CLIPBOARD_TIMEOUT = 2000;
+
+// Messages for each reason a clipboard read fails (see readClipboardText)
+const CLIPBOARD_ERROR_MESSAGES = {
+  denied: 'The browser did not allow reading the clipboard. Allow clipboard access for this site in the ' +
+    'browser\'s settings, or paste into the "or paste here" field instead.',
+  timeout: 'Reading the clipboard took too long; the browser may be waiting for permission. ' +
+    'Try Load clipboard again, or paste into the "or paste here" field instead.',
+  unsupported: 'This browser cannot read the clipboard. Paste into the "or paste here" field instead.',
+  failed: 'Could not read the clipboard. Paste into the "or paste here" field instead.',
+};
+
+// The clipboard text last read, so that coming back to the app only loads or
+// offers text that has changed
+let lastClipboardText = null;
+// The reason the last read on coming back failed, so that it is shown only once
+let lastWatchError = null;
+let checkingClipboard = false;
+
+/**
+ * Reads the clipboard, giving up after CLIPBOARD_TIMEOUT.
+ *
+ * @returns {Promise<string>} The clipboard text
+ * @throws {Error} An error with a reason: 'denied', 'timeout', 'unsupported' or 'failed'
+ */
+async function readClipboardText() {
+  const clipboardError = (reason, cause) => Object.assign(new Error('Clipboard read ' + reason, { cause }), { reason });
+  if (!navigator.clipboard || !navigator.clipboard.readText) {
+    throw clipboardError('unsupported');
+  }
+
+  // Add timeout to prevent hanging indefinitely
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(clipboardError('timeout')), CLIPBOARD_TIMEOUT);
+  });
+  try {
+    return await Promise.race([navigator.clipboard.readText(), timeoutPromise]);
+  } catch (err) {
+    if (err.reason) throw err;
+    throw clipboardError(err.name === 'NotAllowedError' ? 'denied' : 'failed', err);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 async function readClipboard() {
   console.log('Reading clipboard…');
   try {
-    // Add timeout to prevent hanging indefinitely
-    const clipboardPromise = navigator.clipboard.readText();
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Clipboard read timeout')), 2000)
-    );
-
-    const clipboardText = await Promise.race([clipboardPromise, timeoutPromise]);
+    const clipboardText = await readClipboardText();
     console.log('Clipboard text:', clipboardText?.substring(0, 50) + '…');
+    showClipboardMessage(null);
     if (clipboardText) {
-      if (showHelp) {
-        document.getElementById('help-text-header').textContent = 'Your clipboard';
-      }
+      lastClipboardText = clipboardText;
+      runAction(() => loadText(clipboardText));
+    }
+  } catch (err) {
+    console.error('Failed to read clipboard:', err);
+    showClipboardMessage(CLIPBOARD_ERROR_MESSAGES[err.reason]);
+  }
+}
 
-      currentText = clipboardText;
-      updateWordPositions();
-      render();
+/**
+ * Reads the clipboard when the app comes back into view, if the user has turned
+ * that on, and loads its text if it has changed. If the user is in the middle of
+ * reading (something is selected or being spoken), the text is offered instead.
+ */
+async function checkClipboard() {
+  // Browsers only let a focused page read the clipboard
+  if (!settings.watchClipboard || checkingClipboard || document.visibilityState !== 'visible' ||
+    !document.hasFocus()) return;
+
+  checkingClipboard = true;
+  try {
+    const clipboardText = await readClipboardText();
+    lastWatchError = null;
+    if (!clipboardText || clipboardText === lastClipboardText) return;
+
+    // The first read only notes what is on the clipboard, so that it doesn't
+    // replace a text that was just opened some other way (e.g. from a link)
+    const firstRead = lastClipboardText === null;
+    lastClipboardText = clipboardText;
+    if ((firstRead && reader.text) || normalizeText(clipboardText).text === reader.text) return;
+
+    if (reader.text && (reader.selection || speakingRange)) {
+      console.log('Offering new clipboard text');
+      const preview = clipboardText.trim();
+      showClipboardMessage('New text on the clipboard: "' +
+        (preview.length > 40 ? preview.substring(0, 40) + '…' : preview) + '"', clipboardText);
+    } else {
+      console.log('Loading new clipboard text');
+      showClipboardMessage(null);
+      runAction(() => loadText(clipboardText));
     }
   } catch (err) {
     console.error('Failed to read clipboard:', err);
-    // Will fail if permission not granted or on timeout
+    if (err.reason !== lastWatchError) {
+      lastWatchError = err.reason;
+      showClipboardMessage(CLIPBOARD_ERROR_MESSAGES[err.reason]);
+    }
+  } finally {
+    checkingClipboard = false;
+  }
+}
+
+/**
+ * Shows a message about the clipboard under the top bar, or hides it if message
+ * is null. With offeredText, the message offers to load that text.
+ */
+function showClipboardMessage(message, offeredText = null) {
+  const element = document.getElementById('clipboard-message');
+  element.classList.toggle('hidden', !message);
+  if (!message) {
+    element.innerHTML = '';
+    return;
+  }
+
+  element.innerHTML = '<span>' + escapeHtml(message) + '</span>' +
+    (offeredText ? '<button data-action="load">Load it</button><button data-action="dismiss">Keep reading</button>'
+      : '<button data-action="dismiss" title="Dismiss">×</button>');
+  element.dataset.offeredText = offeredText || '';
+}
+
+/**
+ * Replaces the reader's text with newly loaded text and records it in the history.
+ */
+function loadText(text) {
+  if (showHelp) {
+    document.getElementById('help-text-header').textContent = 'Your clipboard';
+  }
+
+  setReaderText(normalizeText(text).text);
+  addToHistory(reader.text);
+  render();
+}
+
+// ===== TEXT SOURCES =====
+// Besides the clipboard, text can come from a file (picked or dropped), the page
+// URL (#text=… to link a passage, or ?text=… from the Web Share Target declared
+// in manifest.webmanifest), or text dropped on the reader.
+
+/**
+ * Extracts the readable text of a file: subtitles lose their cue numbers,
+ * timestamps and styling tags, and HTML loses its markup.
+ */
+function extractText(content, fileName) {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'srt' || extension === 'vtt') {
+    return extractSubtitleText(content);
+  }
+  if (extension === 'html' || extension === 'htm') {
+    return extractHtmlText(content);
+  }
+  return content;
+}
+
+/**
+ * Joins the lines of each subtitle cue with spaces, one cue per line.
+ */
+function extractSubtitleText(content) {
+  return content
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(cue => cue
+      .split('\n')
+      .filter(line => !/^\s*\d+\s*$/.test(line) && !line.includes('-->') && !/^WEBVTT/.test(line))
+      .map(line => line.replace(/<[^>]*>|\{[^}]*\}/g, '').trim())
+      .filter(line => line)
+      .join(' '))
+    .filter(cue => cue)
+    .join('\n');
+}
+
+/**
+ * Returns the text of an HTML document, with a line break after each block.
+ */
+function extractHtmlText(content) {
+  const doc = new DOMParser().parseFromString(content, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+  doc.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, blockquote, section, article')
+    .forEach(element => element.append('\n'));
+
+  return (doc.body ? doc.body.textContent : '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function loadFile(file) {
+  console.log(`Loading file "${file.name}"…`);
+  const text = extractText(await file.text(), file.name);
+  if (text.trim()) {
+    loadText(text);
   }
 }
 
+/**
+ * Reads text passed in the page URL: a #text=… fragment, or the text (or else
+ * the title or URL) that the Web Share Target sends as query parameters. The URL
+ * is cleaned up afterwards so that reloading does not load the text again.
+ */
+function readTextFromUrl() {
+  const hashParams = new URLSearchParams(location.hash.substring(1));
+  const searchParams = new URLSearchParams(location.search);
+  const text = hashParams.get('text') ||
+    searchParams.get('text') || searchParams.get('title') || searchParams.get('url');
+  if (!text) return null;
+
+  history.replaceState(null, '', location.pathname);
+  return text;
+}
+
+/**
+ * Returns a link that opens the app with the given text.
+ */
+function getTextLink(text) {
+  return location.origin + location.pathname + '#text=' + encodeURIComponent(text);
+}
+
 // ===== WORD POSITION CALCULATION =====
-function updateWordPositions() {
-  wordPositions = [];
-  // Match all sequences of alphabetic characters (including Vietnamese)
-  const regex = /[a-zA-ZÀ-ỹ]+/g;
-  let match;
-
-  while ((match = regex.exec(currentText)) !== null) {
-    wordPositions.push({
-      word: match[0],
-      startIndex: match.index,
-      endIndex: match.index + match[0].length,
-    });
+/**
+ * Replaces the reader's text, finding its words and clearing the selection.
+ */
+function setReaderText(text) {
+  // Speech positions refer to the previous text
+  stopSpeaking();
+
+  reader = createReaderState(text);
+
+  // Later lookups by word index refer to these words
+  if (dictionaryWorker) {
+    callDictionary('setWords', reader.words);
+    updateSegments();
   }
+}
+
+// ===== SEGMENTATION =====
+/**
+ * Segments the whole text into dictionary words, which segment mode underlines
+ * and word statuses color, and re-renders once the worker is done. Results for a
+ * text that has since been replaced are discarded.
+ */
+async function updateSegments() {
+  segments = null;
+  if (!reader.text) return;
 
-  currentWordIndex = null;
-  currentSelection = null;
+  const text = reader.text;
+  try {
+    const result = await callDictionary('segmentText');
+    if (text === reader.text) {
+      segments = result;
+      render();
+    }
+  } catch (err) {
+    console.error('Failed to segment text:', err);
+    showDictionaryStatus('Error: ' + err.message, true);
+  }
 }
 
 // ===== SELECTION LOGIC =====
-function updateSelection(direction) {
-  if (wordPositions.length === 0 || !currentText) {
-    currentSelection = null;
-    return;
+// Selections are computed by reader.js, with lookups answered by the dictionary
+// worker, which has the words of reader.text (see setWords).
+const readerDictionary = {
+  findLongestMatchStartingWith: wordIndex => callDictionary('findLongestMatchStartingWith', wordIndex),
+  findLongestMatchEndingWith: wordIndex => callDictionary('findLongestMatchEndingWith', wordIndex),
+  findRunWithoutMatch: (wordIndex, direction) => callDictionary('findRunWithoutMatch', wordIndex, direction),
+  lookupPhrase: phrase => callDictionary('lookupPhrase', phrase),
+};
+
+/**
+ * Returns what the tooltip shows: the last word looked up by clicking a link in
+ * a definition, or else the current selection. Linked lookups are kept on the
+ * selection, so selecting something else starts over.
+ */
+function displayedLookup() {
+  const linked = reader.selection && reader.selection.linkedLookups;
+  return linked && linked.length > 0 ? linked[linked.length - 1] : reader.selection;
+}
+
+/**
+ * Looks up a Vietnamese phrase linked from a definition and shows it in the
+ * tooltip on top of the current one. If the phrase has no entry, its longest
+ * prefix with one is shown instead.
+ */
+async function showLinkedLookup(phrase) {
+  if (!reader.selection) return;
+
+  const words = phrase.toLowerCase().split(' ');
+  let match = null;
+  for (let length = words.length; length >= 1 && !match; length--) {
+    match = await callDictionary('lookupPhrase', words.slice(0, length).join(' '));
   }
 
-  const wordPos = wordPositions[currentWordIndex];
-  if (!wordPos) {
-    currentSelection = null;
-    return;
+  const linkedLookups = [
+    ...(reader.selection.linkedLookups || []),
+    match || { word: phrase, results: null, candidates: null, rank: null },
+  ];
+  reader = { ...reader, selection: { ...reader.selection, linkedLookups } };
+  console.log(`Looked up "${phrase}" from a definition`);
+}
+
+/**
+ * Returns to the lookup shown before the last linked lookup.
+ */
+function showPreviousLookup() {
+  if (reader.selection && reader.selection.linkedLookups) {
+    const linkedLookups = reader.selection.linkedLookups.slice(0, -1);
+    reader = { ...reader, selection: { ...reader.selection, linkedLookups } };
+  }
+}
+
+/**
+ * Adds the details render() shows besides the definitions to the current selection:
+ * - breakdown: For multi-word selections that an enabled dictionary has no entry
+ *   for (e.g. a compound missing from the Chinese dictionary, or a selection resized
+ *   with −/+), each syllable's gloss in every enabled dictionary
+ * - characters: The Hán/Nôm characters, when a dictionary that has them (the
+ *   Chinese dictionary) is enabled
+ */
+async function updateSelectionDetails() {
+  const selection = reader.selection;
+  if (!selection) return;
+
+  let breakdown = null;
+  const matchedIds = (selection.results || []).map(result => result.dictionaryId);
+  const missingIds = dictionaries
+    .filter(dictionary => dictionary.enabled && !matchedIds.includes(dictionary.id))
+    .map(dictionary => dictionary.id);
+  // Numbers and dates are explained by what they are rather than by syllable
+  const recognizedType = selection.recognized && selection.recognized.type;
+  if (selection.word.includes(' ') && missingIds.length > 0 &&
+    recognizedType !== 'number' && recognizedType !== 'date') {
+    const syllables = await callDictionary('lookupSyllables', selection.word);
+    if (syllables.some(({ glosses }) => glosses.length > 0)) {
+      breakdown = syllables;
+    }
   }
 
-  let match;
-  let startIndex;
-
-  if (direction === 'right') {
-    match = findLongestMatchStartingWith(currentText, wordPos.startIndex);
-    if (match) {
-      startIndex = wordPos.startIndex;
-    }
-  } else if (direction === 'left') {
-    match = findLongestMatchEndingWith(currentText, wordPos.endIndex);
-    if (match) {
-      // Search backwards to find where the match actually starts in the original text
-      // We need to account for stripped punctuation
-      const wordsInMatch = match.word.split(/\s+/);
-
-      // Find the actual start by searching for the match pattern
-      let searchPos = wordPos.endIndex;
-      for (let i = wordsInMatch.length - 1; i >= 0; i--) {
-        const word = wordsInMatch[i];
-        // Search backwards for this word (case-insensitive)
-        const searchText = currentText.substring(0, searchPos).toLowerCase();
-        const wordIndex = searchText.lastIndexOf(word);
-        if (wordIndex !== -1) {
-          if (i === 0) {
-            startIndex = wordIndex;
-          }
-          searchPos = wordIndex;
+  const characters = selection.results || selection.candidates || breakdown
+    ? await callDictionary('lookupCharacters', selection.word)
+    : null;
+  // The selection may have changed while the worker looked these up
+  if (reader.selection === selection) {
+    reader = { ...reader, selection: { ...selection, breakdown, characters } };
+  }
+}
+
+// ===== VOCABULARY =====
+// Saved words are kept in localStorage as an array of objects containing:
+//   - word: The lowercased phrase, used as the key
+//   - results: Lookup results from each enabled dictionary (see lookupTerm in the worker)
+//   - sentence: The sentence the word was saved from
+//   - savedAt: ISO timestamp
+const VOCABULARY_STORAGE_KEY = 'vocabulary';
+
+function loadVocabulary() {
+  try {
+    vocabulary = JSON.parse(localStorage.getItem(VOCABULARY_STORAGE_KEY)) || [];
+
+    // Words saved before multiple dictionaries were supported
+    for (const item of vocabulary) {
+      if (!item.results) {
+        item.results = [{ name: 'VNEDICT', language: 'en', entries: item.entries }];
+        if (item.chineseEntries) {
+          item.results.push({ name: 'Wiktionary (中文)', language: 'zh', entries: item.chineseEntries });
         }
+        delete item.entries;
+        delete item.chineseEntries;
       }
     }
+  } catch (err) {
+    console.error('Failed to load vocabulary:', err);
+    vocabulary = [];
   }
+}
 
-  if (match) {
-    currentSelection = {
-      word: match.word,
-      definition: match.definition,
-      startIndex: startIndex,
-      endIndex: startIndex + match.word.length,
-    };
+function storeVocabulary() {
+  try {
+    localStorage.setItem(VOCABULARY_STORAGE_KEY, JSON.stringify(vocabulary));
+  } catch (err) {
+    console.error('Failed to save vocabulary:', err);
+  }
+}
+
+function isSaved(word) {
+  return vocabulary.some(item => item.word === word);
+}
+
+/**
+ * Saves the word shown in the tooltip to the vocabulary list, or removes it if it
+ * is already saved. The sentence is always the one containing the selection.
+ */
+function toggleSaveSelection() {
+  const lookup = displayedLookup();
+  if (!lookup || !lookup.results) return;
+
+  const word = lookup.word;
+  if (isSaved(word)) {
+    vocabulary = vocabulary.filter(item => item.word !== word);
+    console.log(`Removed "${word}" from vocabulary`);
   } else {
-    const noMatches = findConsecutiveWordsWithNoMatch(currentWordIndex, direction);
-    currentSelection = {
-      word: noMatches.text,
-      definition: null,
-      startIndex: noMatches.startIndex,
-      endIndex: noMatches.endIndex,
-    };
+    vocabulary.unshift({
+      word,
+      results: lookup.results,
+      sentence: findSentenceAt(reader.text, reader.selection.startIndex, reader.selection.endIndex).text,
+      savedAt: new Date().toISOString(),
+    });
+    console.log(`Saved "${word}" to vocabulary`);
   }
+  storeVocabulary();
+}
+
+function deleteVocabularyItem(word) {
+  vocabulary = vocabulary.filter(item => item.word !== word);
+  storeVocabulary();
 }
 
 /**
- * Finds all consecutive words without dictionary entries, starting from the given word index.
- * Scans in the specified direction until hitting a word with a valid dictionary entry.
+ * Converts the vocabulary list to text that Anki can import, with one note per
+ * word and the fields Word, Definition, Chinese and Sentence. Definitions from
+ * Chinese dictionaries go in the Chinese field and all others in Definition.
  *
- * @param {number} startWordIndex - Index in wordPositions array to start from
- * @param {string} direction - Either 'right' (forward) or 'left' (backward)
- * @returns {Object} Object containing:
- *   - text: The actual substring from currentText (preserving punctuation/spacing)
- *   - startIndex: Character position where the sequence starts
- *   - endIndex: Character position where the sequence ends
- */
-function findConsecutiveWordsWithNoMatch(startWordIndex, direction) {
-  let startIndex, endIndex;
-
-  if (direction === 'right') {
-    startIndex = wordPositions[startWordIndex].startIndex;
-    for (let i = startWordIndex; i < wordPositions.length; i++) {
-      const wordPos = wordPositions[i];
-
-      // Stop at match
-      if (findLongestMatchStartingWith(currentText, wordPos.startIndex)) {
-        break;
-      }
+ * @param {string} format - Either 'tsv' or 'csv'
+ * @returns {string} File contents
+ */
+function exportVocabulary(format) {
+  const separator = format === 'csv' ? ',' : '\t';
+  const formatField = format === 'csv'
+    ? text => '"' + text.replace(/"/g, '""') + '"'
+    : text => text.replace(/[\t\r\n]+/g, ' ');
+  const formatResults = results => results
+    .flatMap(result => result.entries)
+    .map(entry => isProperNoun(entry) ? entry.headword + ': ' + entry.definition : entry.definition)
+    .join('; ');
+
+  const header = [
+    '#separator:' + (format === 'csv' ? 'comma' : 'tab'),
+    '#html:false',
+    '#columns:' + ['Word', 'Definition', 'Chinese', 'Sentence'].join(separator),
+  ];
+  const rows = vocabulary.map(item => [
+    item.word,
+    formatResults(item.results.filter(result => result.language !== 'zh')),
+    formatResults(item.results.filter(result => result.language === 'zh')),
+    item.sentence,
+  ].map(formatField).join(separator));
+
+  return header.concat(rows).join('\n') + '\n';
+}
+
+function downloadVocabulary(format) {
+  const mimeType = format === 'csv' ? 'text/csv' : 'text/tab-separated-values';
+  const blob = new Blob([exportVocabulary(format)], { type: mimeType + ';charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'vocabulary.' + format;
+  link.click();
+  // Revoking right away cancels the download in some browsers (Safari, older Firefox)
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ===== WORD STATUS =====
+// Words the user has marked from the tooltip, kept in localStorage as an object
+// mapping the lowercased word to 'known' or 'learning'. Other words are unknown.
+const WORD_STATUS_STORAGE_KEY = 'wordStatus';
+const WORD_STATUSES = ['unknown', 'learning', 'known'];
+
+function loadWordStatuses() {
+  try {
+    wordStatuses = JSON.parse(localStorage.getItem(WORD_STATUS_STORAGE_KEY)) || {};
+  } catch (err) {
+    console.error('Failed to load word statuses:', err);
+    wordStatuses = {};
+  }
+}
+
+function storeWordStatuses() {
+  try {
+    localStorage.setItem(WORD_STATUS_STORAGE_KEY, JSON.stringify(wordStatuses));
+  } catch (err) {
+    console.error('Failed to save word statuses:', err);
+  }
+}
+
+function getWordStatus(word) {
+  return wordStatuses[word] || 'unknown';
+}
+
+function setWordStatus(word, status) {
+  if (status === 'unknown') {
+    delete wordStatuses[word];
+  } else {
+    wordStatuses[word] = status;
+  }
+  storeWordStatuses();
+  console.log(`Marked "${word}" as ${status}`);
+}
 
-      endIndex = wordPos.endIndex;
+/**
+ * Summarizes how much of the current text the user knows, counting each
+ * dictionary word found by segmentation as one token.
+ *
+ * @returns {Object|null} Object containing:
+ *   - tokens: Number of dictionary words in the text
+ *   - known, learning: Number of those the user marked known or learning
+ *   - unknownWords: The unique unknown words, the most common in the frequency
+ *     list first, then the most frequent in the text
+ */
+function summarizeText() {
+  if (!segments) return null;
+
+  const summary = { tokens: segments.length, known: 0, learning: 0, unknownWords: [] };
+  const unknownCounts = new Map();
+  const ranks = new Map();
+  for (const segment of segments) {
+    const status = getWordStatus(segment.word);
+    if (status === 'unknown') {
+      unknownCounts.set(segment.word, (unknownCounts.get(segment.word) || 0) + 1);
+      ranks.set(segment.word, segment.rank || Infinity);
+    } else {
+      summary[status]++;
     }
-  } else if (direction === 'left') {
-    endIndex = wordPositions[startWordIndex].endIndex;
-    for (let i = startWordIndex; i >= 0; i--) {
-      const wordPos = wordPositions[i];
+  }
+  summary.unknownWords = [...unknownCounts.keys()].sort((a, b) =>
+    (ranks.get(a) === ranks.get(b) ? 0 : ranks.get(a) < ranks.get(b) ? -1 : 1) ||
+    unknownCounts.get(b) - unknownCounts.get(a)
+  );
+  return summary;
+}
 
-      // Stop at match
-      if (findLongestMatchEndingWith(currentText, wordPos.endIndex)) {
-        break;
-      }
+// ===== HISTORY =====
+// Loaded texts are kept in localStorage, most recent first, as objects containing:
+//   - id: Unique identifier
+//   - text: The full text
+//   - loadedAt: ISO timestamp of when the text was last loaded
+//   - lookups: Words looked up while reading the text, in order
+//   - position: { currentWordIndex, startIndex, endIndex } of the last selection, or null
+const HISTORY_STORAGE_KEY = 'history';
+const MAX_HISTORY_LENGTH = 30;
+// Reading positions change with every move, so writes for them wait this long
+// (in milliseconds) and are combined, rather than rewriting the history on every
+// key press
+const HISTORY_WRITE_DELAY = 1000;
+let historyWriteTimer = null;
+
+function loadHistory() {
+  try {
+    textHistory = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY)) || [];
+  } catch (err) {
+    console.error('Failed to load history:', err);
+    textHistory = [];
+  }
+
+  // Texts stored before loading normalized them may be decomposed, with reading
+  // positions in the stored text
+  textHistory = textHistory.map(item => {
+    const { text, offsets } = normalizeText(item.text);
+    if (text === item.text) return item;
+
+    const position = item.position && {
+      ...item.position,
+      startIndex: offsets[item.position.startIndex],
+      endIndex: offsets[item.position.endIndex],
+    };
+    return { ...item, text, position };
+  });
+}
+
+function storeHistory() {
+  clearTimeout(historyWriteTimer);
+  historyWriteTimer = null;
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(textHistory));
+  } catch (err) {
+    // Most likely over quota; drop the oldest texts and try again
+    console.error('Failed to save history:', err);
+    if (textHistory.length > 1) {
+      textHistory = textHistory.slice(0, Math.ceil(textHistory.length / 2));
+      storeHistory();
+    }
+  }
+}
+
+/**
+ * Stores the history after HISTORY_WRITE_DELAY, unless a write is already waiting.
+ */
+function scheduleStoreHistory() {
+  if (historyWriteTimer === null) {
+    historyWriteTimer = setTimeout(storeHistory, HISTORY_WRITE_DELAY);
+  }
+}
+
+/**
+ * Writes a waiting history write right away, before the page may be closed.
+ */
+function handlePageHide() {
+  if (historyWriteTimer !== null) {
+    storeHistory();
+  }
+}
+
+/**
+ * Makes the given text the current history entry. Loading a text that is
+ * already in the history moves it to the top and keeps its lookups and position.
+ */
+function addToHistory(text) {
+  let item = textHistory.find(historyItem => historyItem.text === text);
+  if (item) {
+    textHistory = textHistory.filter(historyItem => historyItem !== item);
+  } else {
+    item = {
+      id: Date.now().toString(36) + Math.random().toString(36).substring(2, 6),
+      text,
+      lookups: [],
+      position: null,
+    };
+  }
+  item.loadedAt = new Date().toISOString();
+
+  textHistory.unshift(item);
+  textHistory = textHistory.slice(0, MAX_HISTORY_LENGTH);
+  currentHistoryId = item.id;
+  storeHistory();
+}
+
+/**
+ * Records the current selection in the current history entry: the word as a
+ * lookup (if it has a definition) and the selection as the reading position.
+ */
+function recordLookup() {
+  const item = textHistory.find(historyItem => historyItem.id === currentHistoryId);
+  if (!item || !reader.selection) return;
+
+  if ((reader.selection.results || reader.selection.candidates) && !item.lookups.includes(reader.selection.word)) {
+    item.lookups.push(reader.selection.word);
+  }
+  item.position = {
+    currentWordIndex: reader.wordIndex,
+    startIndex: reader.selection.startIndex,
+    endIndex: reader.selection.endIndex,
+  };
+  scheduleStoreHistory();
+}
+
+/**
+ * Loads a text from the history and restores the selection where reading left off.
+ */
+async function openHistoryItem(id) {
+  const item = textHistory.find(historyItem => historyItem.id === id);
+  if (!item) return;
+
+  loadText(item.text);
+
+  if (item.position && item.position.endIndex <= reader.text.length) {
+    reader = await selectRange(
+      { ...reader, wordIndex: item.position.currentWordIndex },
+      item.position.startIndex,
+      item.position.endIndex,
+      readerDictionary
+    );
+    await updateSelectionDetails();
+    render();
+  }
+}
+
+function deleteHistoryItem(id) {
+  textHistory = textHistory.filter(item => item.id !== id);
+  if (currentHistoryId === id) {
+    currentHistoryId = null;
+  }
+  storeHistory();
+}
+
+// ===== SPEECH =====
+// Speech goes through a speech engine (see speech.js), created here from the Web
+// Speech API.
+const SPEECH_STORAGE_KEY = 'speech';
+
+function createWebSpeechEngine() {
+  if (!('speechSynthesis' in window)) return null;
+
+  const synth = window.speechSynthesis;
+  const isVietnamese = voice => voice.lang.replace('_', '-').toLowerCase().startsWith('vi');
+  let currentUtterance = null;
+
+  return {
+    getVoices() {
+      return synth.getVoices()
+        .filter(isVietnamese)
+        .map(voice => ({ id: voice.voiceURI, name: voice.name, lang: voice.lang }));
+    },
+    speak(text, { voiceId, rate, onBoundary, onEnd }) {
+      synth.cancel();
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = 'vi-VN';
+      utterance.rate = rate;
+      const voice = synth.getVoices().find(voice => voice.voiceURI === voiceId);
+      if (voice) utterance.voice = voice;
+
+      utterance.onboundary = (event) => {
+        if (event.name !== 'sentence') onBoundary(event.charIndex);
+      };
+      // Cancelling fires end or error on the old utterance later, so only the
+      // current one reports the end
+      utterance.onend = utterance.onerror = () => {
+        if (currentUtterance !== utterance) return;
+        currentUtterance = null;
+        onEnd();
+      };
+      currentUtterance = utterance;
+      synth.speak(utterance);
+    },
+    cancel() {
+      currentUtterance = null;
+      synth.cancel();
+    },
+    onVoicesChanged(callback) {
+      synth.addEventListener('voiceschanged', callback);
+    },
+  };
+}
+
+/**
+ * Installs the speech engine, or null if speech is not available.
+ */
+function setSpeechEngine(engine) {
+  stopSpeaking();
+  speechEngine = engine;
+  if (engine && engine.onVoicesChanged) {
+    engine.onVoicesChanged(() => {
+      if (activePanel === 'speech') renderSpeechSettings();
+    });
+  }
+}
+
+function loadSpeechPreferences() {
+  try {
+    speechPreferences = { ...speechPreferences, ...JSON.parse(localStorage.getItem(SPEECH_STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Failed to load speech preferences:', error);
+  }
+}
+
+function storeSpeechPreferences() {
+  try {
+    localStorage.setItem(SPEECH_STORAGE_KEY, JSON.stringify(speechPreferences));
+  } catch (err) {
+    console.error('Failed to save speech preferences:', err);
+  }
+}
+
+/**
+ * Speaks a range of the text. While it plays, speakingRange is the range and
+ * speakingWord the word being spoken, for render() to highlight.
+ */
+function speakRange(startIndex, endIndex) {
+  if (!speechEngine) return;
+  stopSpeaking();
+
+  speakingRange = { startIndex, endIndex };
+  speakingWord = null;
+  readAloud(speechEngine, reader, speakingRange, {
+    voiceId: speechPreferences.voiceId,
+    rate: speechPreferences.rate,
+    onWord: (word) => {
+      speakingWord = word;
+      render();
+    },
+    onEnd: () => {
+      speakingRange = null;
+      speakingWord = null;
+      render();
+    },
+  });
+  console.log(`Speaking "${reader.text.substring(startIndex, endIndex)}"`);
+}
+
+/**
+ * Speaks the word shown in the tooltip: the selection, highlighted as it is
+ * spoken, or a word looked up from a definition.
+ */
+function speakSelection() {
+  const lookup = displayedLookup();
+  if (!lookup) return;
+
+  if (lookup === reader.selection) {
+    speakRange(reader.selection.startIndex, reader.selection.endIndex);
+    render();
+  } else {
+    speakText(lookup.word);
+  }
+}
+
+/**
+ * Speaks text that is not part of the loaded text.
+ */
+function speakText(text) {
+  if (!speechEngine) return;
+  stopSpeaking();
+  speechEngine.speak(text, {
+    voiceId: speechPreferences.voiceId,
+    rate: speechPreferences.rate,
+    onBoundary: () => {},
+    onEnd: () => {},
+  });
+}
+
+/**
+ * Reads aloud the sentence containing the current word, or the first sentence
+ * if nothing is selected.
+ */
+function readSentence() {
+  if (reader.words.length === 0) return;
+
+  const word = reader.words[reader.wordIndex === null ? 0 : reader.wordIndex];
+  const sentence = findSentenceAt(reader.text, word.startIndex, word.endIndex);
+  speakRange(sentence.startIndex, sentence.endIndex);
+  render();
+}
+
+function stopSpeaking() {
+  if (speechEngine && speakingRange) {
+    speechEngine.cancel();
+  }
+  speakingRange = null;
+  speakingWord = null;
+}
+
+// ===== SETTINGS =====
+// Preferences from the settings panel, kept in localStorage as an object containing:
+//   - maxPhraseWords: Longest phrase to look up, in words
+//   - fontFamily: Key of READER_FONTS for the text
+//   - fontSize: Font size of the text, in pixels
+//   - lineSpacing: Line height of the text, as a multiple of the font size
+//   - theme: 'system' (follow the device), 'light', 'dark' or 'sepia'
+//   - tooltipPlacement: 'below' or 'above' the selection, or 'docked' at the
+//     bottom of the reader
+//   - clickPreference: Which match clicking a word selects (see selectWordAt in reader.js)
+//   - watchClipboard: Whether to load new clipboard text when the app comes back
+//     into view (see checkClipboard)
+// Which dictionaries are enabled is kept with the dictionary registry.
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Font stacks for the text; system uses the interface's font
+const READER_FONTS = {
+  system: null,
+  serif: 'Georgia, \'Noto Serif\', \'Times New Roman\', serif',
+  'sans-serif': 'Arial, \'Noto Sans\', Helvetica, sans-serif',
+  monospace: 'Menlo, Consolas, \'Noto Sans Mono\', monospace',
+};
+
+// Background colors of the top bar for the theme-color meta tag, by theme
+const THEME_COLORS = { light: '#f5f5f5', dark: '#2a2a2a', sepia: '#ebe0c6' };
+
+const DEFAULT_SETTINGS = {
+  maxPhraseWords: MAX_PHRASE_WORDS,
+  fontFamily: 'system',
+  fontSize: 18,
+  lineSpacing: 1.55,
+  theme: 'system',
+  tooltipPlacement: 'below',
+  clickPreference: 'longer',
+  watchClipboard: false,
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+function loadSettings() {
+  try {
+    settings = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+}
+
+function storeSettings() {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Failed to save settings:', err);
+  }
+}
+
+/**
+ * Applies the reader's font and the theme to the page.
+ */
+function applyAppearanceSettings() {
+  const root = document.documentElement;
+  if (READER_FONTS[settings.fontFamily]) {
+    root.style.setProperty('--reader-font-family', READER_FONTS[settings.fontFamily]);
+  } else {
+    root.style.removeProperty('--reader-font-family');
+  }
+  root.style.setProperty('--reader-font-size', settings.fontSize + 'px');
+  root.style.setProperty('--reader-line-height', Math.round(settings.fontSize * settings.lineSpacing) + 'px');
+
+  if (settings.theme === 'system') {
+    delete root.dataset.theme;
+  } else {
+    root.dataset.theme = settings.theme;
+  }
+  const dark = settings.theme === 'dark' ||
+    (settings.theme === 'system' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+  document.querySelector('meta[name="theme-color"]').content =
+    THEME_COLORS[settings.theme === 'sepia' ? 'sepia' : dark ? 'dark' : 'light'];
+}
+
+/**
+ * Sends the phrase length limit to the worker, which uses it for the next
+ * lookups, and segments the text again with it.
+ */
+async function applyMaxPhraseWords() {
+  await callDictionary('setMaxPhraseWords', settings.maxPhraseWords);
+  updateSegments();
+  render();
+}
+
+// ===== KEYBOARD AND GESTURES =====
+// Keys are named like KeyboardEvent.key, after Ctrl+, Alt+ and Meta+ for the
+// modifiers held (e.g. "h", "/", "Alt+ArrowLeft"). The keymap, kept in
+// localStorage, maps action ids to their keys; actions missing from it have
+// their default keys. Gestures on the reader can each be turned off.
+const KEYMAP_STORAGE_KEY = 'keymap';
+const GESTURES_STORAGE_KEY = 'gestures';
+
+// Actions that can be bound to keys. Only those marked anywhere work while a
+// panel is showing, and only clearing while typing in a form field.
+const KEY_ACTIONS = [
+  { id: 'previous-word', name: 'Previous word', keys: ['ArrowLeft', 'h'], run: () => runAction(() => handleNavigate('left')) },
+  { id: 'next-word', name: 'Next word', keys: ['ArrowRight', 'l'], run: () => runAction(() => handleNavigate('right')) },
+  { id: 'shrink', name: 'Shrink the selection', keys: ['Alt+ArrowLeft'], run: () => runAction(() => handleResizeSelection('left')) },
+  { id: 'grow', name: 'Grow the selection', keys: ['Alt+ArrowRight'], run: () => runAction(() => handleResizeSelection('right')) },
+  { id: 'next-sentence', name: 'Next sentence', keys: ['j'], run: () => runAction(() => handleNavigateSentence('right')) },
+  { id: 'previous-sentence', name: 'Previous sentence', keys: ['k'], run: () => runAction(() => handleNavigateSentence('left')) },
+  { id: 'save', name: 'Save or unsave the word', keys: ['s'], run: () => { toggleSaveSelection(); render(); } },
+  { id: 'speak', name: 'Speak the word', keys: ['p'], run: speakSelection },
+  { id: 'clear', name: 'Clear the selection or close the panel', keys: ['Escape'], run: handleClear, anywhere: true },
+  { id: 'search', name: 'Search definitions', keys: ['/'], run: handleSearchKey, anywhere: true },
+];
+
+// How far a swipe must move sideways, in pixels, and how long a long press lasts
+const SWIPE_DISTANCE = 60;
+const LONG_PRESS_DURATION = 500;
+// How much the distance between two fingers must change to resize by a word
+const PINCH_STEP = 1.3;
+
+let keymap = {};
+let gesturePreferences = { swipe: true, pinch: true, longPress: true };
+// The action whose next key press is being recorded in the settings, or null
+let recordingActionId = null;
+// The touch gesture in progress on the reader, or null
+let touchGesture = null;
+
+function loadKeymap() {
+  try {
+    keymap = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Failed to load keymap:', error);
+  }
+}
+
+function storeKeymap() {
+  try {
+    localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(keymap));
+  } catch (err) {
+    console.error('Failed to save keyboard shortcuts:', err);
+  }
+}
+
+function loadGesturePreferences() {
+  try {
+    gesturePreferences = { ...gesturePreferences, ...JSON.parse(localStorage.getItem(GESTURES_STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Failed to load gesture preferences:', error);
+  }
+}
+
+function storeGesturePreferences() {
+  try {
+    localStorage.setItem(GESTURES_STORAGE_KEY, JSON.stringify(gesturePreferences));
+  } catch (err) {
+    console.error('Failed to save gesture preferences:', err);
+  }
+}
+
+function keysFor(action) {
+  return keymap[action.id] || action.keys;
+}
+
+/**
+ * Names the key of a keydown event as the keymap does, or returns null for a
+ * modifier key on its own.
+ */
+function keyName(event) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+  // Shift is already part of characters ("?" rather than "Shift+/")
+  const key = event.key === ' ' ? 'Space' : event.key;
+  return (event.ctrlKey ? 'Ctrl+' : '') + (event.altKey ? 'Alt+' : '') + (event.metaKey ? 'Meta+' : '') +
+    (event.shiftKey && key.length > 1 ? 'Shift+' : '') + key;
+}
+
+/**
+ * Binds a key to an action, unbinding it from any other action.
+ */
+function bindKey(actionId, key) {
+  for (const action of KEY_ACTIONS) {
+    const keys = keysFor(action).filter(boundKey => boundKey !== key);
+    if (action.id === actionId) {
+      keymap[action.id] = [...keys, key];
+    } else if (keys.length !== keysFor(action).length) {
+      keymap[action.id] = keys;
+    }
+  }
+  storeKeymap();
+}
+
+function unbindKey(actionId, key) {
+  const action = KEY_ACTIONS.find(keyAction => keyAction.id === actionId);
+  keymap[actionId] = keysFor(action).filter(boundKey => boundKey !== key);
+  storeKeymap();
+}
+
+/**
+ * Turns off the browser's own panning and zooming on the reader for the
+ * gestures that are on, so that they reach the gesture handlers.
+ */
+function applyGesturePreferences() {
+  const readerElement = document.getElementById('reader');
+  readerElement.classList.toggle('swipe-gestures', gesturePreferences.swipe);
+  readerElement.classList.toggle('pinch-gestures', gesturePreferences.pinch);
+}
+
+function touchDistance(touches) {
+  return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+// ===== RENDERING =====
+function render() {
+  const textDisplay = document.getElementById('text-display');
+  const tooltip = document.getElementById('tooltip');
+
+  // Render text with highlight
+  if (!reader.text) {
+    textDisplay.textContent = '';
+    textView = null;
+    document.getElementById('text-summary').classList.add('hidden');
+    tooltip.classList.add('hidden');
+    return;
+  }
+
+  renderText();
+
+  if (reader.selection) {
+    // A word looked up from a definition replaces the selection's details
+    const lookup = displayedLookup();
+    const isSelection = lookup === reader.selection;
+
+    let definitions;
+    if (lookup.results) {
+      definitions = renderResults(lookup.results);
+    } else if (lookup.candidates) {
+      definitions = renderCandidates(lookup.candidates);
+    } else if (!lookup.breakdown && !lookup.recognized) {
+      definitions = '<em>no definition</em>';
+    } else {
+      definitions = '';
+    }
+    if (lookup.breakdown) {
+      definitions += renderBreakdown(lookup.breakdown);
+    }
+
+    const backButton = isSelection ? ''
+      : '<button class="back-button" data-action="back" title="Back">←</button>';
+
+    // Only exact matches can be saved; fuzzy matches have no single definition
+    const saveButton = lookup.results
+      ? '<button class="save-button" data-action="save">' +
+        (isSaved(lookup.word) ? '★ Saved' : '☆ Save') + '</button>'
+      : '';
+    const speechButtons = !speechEngine ? ''
+      : speakingRange
+        ? '<button class="speak-button" data-action="stop-speaking">■ Stop</button>'
+        : (isSelection ? '<button class="speak-button" data-action="read-sentence">▶ Sentence</button>' : '') +
+          '<button class="speak-button" data-action="speak" title="Speak">🔊</button>';
+
+    // Only dictionary words have a status, since they are what the text is colored by
+    const statusButtons = lookup.results
+      ? '<div class="status-buttons">' + WORD_STATUSES.map(status =>
+        '<button data-action="status" data-status="' + status + '"' +
+        (getWordStatus(lookup.word) === status ? ' class="active"' : '') + '>' +
+        status[0].toUpperCase() + status.substring(1) + '</button>'
+      ).join('') + '</div>'
+      : '';
+
+    const frequency = lookup.rank
+      ? '<span class="frequency" title="Rank in the frequency list">#' + lookup.rank +
+        ' · ' + frequencyBand(lookup.rank) + '</span>'
+      : '';
+
+    tooltip.innerHTML =
+      '<div class="word">' + backButton + escapeHtml(lookup.word) + frequency + saveButton + speechButtons + '</div>' +
+      (lookup.characters ? renderCharacters(lookup.characters) : '') +
+      (lookup.morphology ? renderMorphology(lookup.morphology) : '') +
+      (lookup.recognized ? renderRecognized(lookup.recognized) : '') +
+      '<div>' + definitions + '</div>' +
+      statusButtons;
+    tooltip.classList.remove('hidden');
+
+    // Position tooltip below or above the highlighted text, or dock it at the
+    // bottom of the reader (see settings.tooltipPlacement)
+    const selection = reader.selection;
+    const docked = settings.tooltipPlacement === 'docked';
+    tooltip.classList.toggle('docked', docked);
+    requestAnimationFrame(() => {
+      const highlightTokens = (textView && textView.classRanges.get('highlight')) || [];
+      if (highlightTokens.length > 0) {
+        const highlightRect = highlightTokens[0].element.getBoundingClientRect();
+        const lastRect = highlightTokens[highlightTokens.length - 1].element.getBoundingClientRect();
+        const readerElement = document.getElementById('reader');
+        const readerRect = readerElement.getBoundingClientRect();
+
+        // Positions within the reader's content, accounting for scroll position
+        const highlightTop = highlightRect.top - readerRect.top + readerElement.scrollTop;
+        const highlightBottom = lastRect.bottom - readerRect.top + readerElement.scrollTop;
+        let top = highlightTop;
+        let bottom = highlightBottom + tooltip.offsetHeight;
+        if (docked) {
+          tooltip.style.top = '';
+        } else if (settings.tooltipPlacement === 'above' && highlightTop - tooltip.offsetHeight - 15 >= 0) {
+          // 5px above the highlight, less the tooltip's 10px margin
+          const tooltipTop = highlightTop - tooltip.offsetHeight - 15;
+          tooltip.style.top = tooltipTop + 'px';
+          top = tooltipTop;
+          bottom = highlightBottom;
+        } else {
+          const tooltipTop = highlightBottom + 5;
+          tooltip.style.top = tooltipTop + 'px';
+          bottom = tooltipTop + tooltip.offsetHeight;
+        }
+
+        // Scroll to a new selection, but let the user scroll away from the current one
+        if (selection !== scrolledSelection) {
+          scrolledSelection = selection;
+          scrollReaderTo(top, bottom);
+        }
+      }
+    });
+  } else {
+    tooltip.classList.add('hidden');
+  }
+}
+
+/**
+ * Scrolls the reader as little as possible to show the content between top and
+ * bottom (relative to the top of the reader's content), or at least its top.
+ */
+function scrollReaderTo(top, bottom) {
+  const readerElement = document.getElementById('reader');
+  const margin = 10;
+
+  if (bottom + margin > readerElement.scrollTop + readerElement.clientHeight) {
+    readerElement.scrollTop = bottom + margin - readerElement.clientHeight;
+  }
+  if (top - margin < readerElement.scrollTop) {
+    readerElement.scrollTop = top - margin;
+  }
+}
+
+/**
+ * Renders the text with the selection highlighted, each recognized word colored
+ * by its status and, in segment mode, underlined with an optional gloss line
+ * after each sentence.
+ *
+ * The text is only rebuilt when it, its segments or the segment mode change, so
+ * that long texts stay fast to navigate: it is split into a block per line and,
+ * within lines, into a span per token (a word, or the text between two words),
+ * and the highlights are then moved by changing the classes of the tokens they
+ * cover.
+ */
+function renderText() {
+  if (!textView || textView.text !== reader.text || textView.segments !== segments ||
+    textView.segmentMode !== segmentMode) {
+    buildTextView();
+  }
+
+  setTokenClass('highlight', reader.selection);
+  setTokenClass('speaking', speakingRange);
+  setTokenClass('speaking-word', speakingWord);
+}
+
+/**
+ * Builds the text's lines and tokens in the text display. Tokens also end at
+ * sentence boundaries, so that a sentence being read aloud covers whole tokens.
+ */
+function buildTextView() {
+  const text = reader.text;
+  const sentences = findSentences(text);
+
+  // Character positions where tokens end
+  const points = new Set([text.length]);
+  for (const word of reader.words) {
+    points.add(word.startIndex);
+    points.add(word.endIndex);
+  }
+  for (const sentence of sentences) {
+    points.add(sentence.startIndex);
+    points.add(sentence.endIndex);
+  }
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    points.add(index + 1);
+  }
+  // Recognized dates end with digits, which are not words
+  for (const digits of text.matchAll(/\d+/g)) {
+    points.add(digits.index);
+    points.add(digits.index + digits[0].length);
+  }
+  points.delete(0);
+  const sortedPoints = [...points].sort((a, b) => a - b);
+
+  const glossLines = new Map();
+  if (segmentMode === 'gloss' && segments) {
+    // Sentences and segments are both in text order, so one pass pairs them up
+    let segmentIndex = 0;
+    for (const sentence of sentences) {
+      while (segmentIndex < segments.length && segments[segmentIndex].startIndex < sentence.startIndex) {
+        segmentIndex++;
+      }
+      const items = [];
+      while (segmentIndex < segments.length && segments[segmentIndex].endIndex <= sentence.endIndex) {
+        items.push(segments[segmentIndex++]);
+      }
+      if (items.length > 0) {
+        glossLines.set(sentence.endIndex, renderGlossLine(items));
+      }
+    }
+  }
+
+  const tokens = [];
+  let html = '<div class="paragraph">';
+  let start = 0;
+  for (const end of sortedPoints) {
+    html += '<span data-token="' + tokens.length + '">' + escapeHtml(text.substring(start, end)) + '</span>';
+    tokens.push({ startIndex: start, endIndex: end, element: null });
+    if (glossLines.has(end)) {
+      html += glossLines.get(end);
+    }
+    if (text[end - 1] === '\n' && end < text.length) {
+      html += '</div><div class="paragraph">';
+    }
+    start = end;
+  }
+
+  const textDisplay = document.getElementById('text-display');
+  textDisplay.innerHTML = html + '</div>';
+  textDisplay.querySelectorAll('[data-token]').forEach((element, i) => {
+    tokens[i].element = element;
+  });
+
+  textView = { text, segments, segmentMode, tokens, classRanges: new Map() };
+  renderStatuses();
+}
+
+/**
+ * Returns the tokens that lie within a character range.
+ *
+ * @returns {Array<Object>} The tokens, or an empty array if range is null
+ */
+function tokensIn(range) {
+  if (!range) return [];
+
+  const tokens = textView.tokens;
+  const first = binarySearch(tokens, token => token.startIndex >= range.startIndex);
+  const end = binarySearch(tokens, token => token.endIndex > range.endIndex);
+  return tokens.slice(first, end);
+}
+
+/**
+ * Moves a class to the tokens within a character range, or removes it from the
+ * text if range is null.
+ */
+function setTokenClass(className, range) {
+  for (const token of textView.classRanges.get(className) || []) {
+    token.element.classList.remove(className);
+  }
+
+  const tokens = tokensIn(range);
+  for (const token of tokens) {
+    token.element.classList.add(className);
+  }
+  textView.classRanges.set(className, tokens);
+}
+
+/**
+ * Colors each recognized word by its status and, in segment mode, underlines it,
+ * then updates the summary above the text. Called again when a status changes.
+ */
+function renderStatuses() {
+  for (const segment of segments || []) {
+    const classes = ['status-' + getWordStatus(segment.word)];
+    if (segmentMode !== 'off') {
+      classes.push('segment');
+      if (segment.word.includes(' ')) {
+        classes.push('compound');
+      }
+    }
+
+    for (const token of tokensIn(segment)) {
+      token.element.classList.remove('status-unknown', 'status-learning', 'status-known');
+      token.element.classList.add(...classes);
+    }
+  }
+  renderTextSummary();
+}
+
+/**
+ * Describes a frequency rank for learners, e.g. rank 300 is "very common".
+ */
+function frequencyBand(rank) {
+  if (rank <= 1000) return 'very common';
+  if (rank <= 5000) return 'common';
+  if (rank <= 20000) return 'uncommon';
+  return 'rare';
+}
+
+/**
+ * Shows how much of the text the user knows above it: the share of known and
+ * learning words, and the unknown words.
+ */
+function renderTextSummary() {
+  const element = document.getElementById('text-summary');
+  const summary = summarizeText();
+  if (!summary || summary.tokens === 0) {
+    element.classList.add('hidden');
+    return;
+  }
+
+  const percent = count => Math.round(count / summary.tokens * 100) + '%';
+  const unknownCount = summary.unknownWords.length;
+  element.innerHTML =
+    '<strong>' + percent(summary.known) + ' known</strong>' +
+    (summary.learning > 0 ? ' · ' + percent(summary.learning) + ' learning' : '') +
+    ' · ' + (unknownCount === 1 ? '1 unknown word' : unknownCount + ' unknown words') +
+    (unknownCount > 0
+      ? '<details' + (element.querySelector('details[open]') ? ' open' : '') + '><summary>Unknown words</summary>' +
+        summary.unknownWords.map(word => '<span class="unknown-word">' + escapeHtml(word) + '</span>').join(', ') +
+        '</details>'
+      : '');
+  element.classList.remove('hidden');
+}
+
+function renderGlossLine(items) {
+  return '<span class="gloss-line">' +
+    items.map(item =>
+      '<span class="gloss-item"><span class="gloss-word">' + escapeHtml(item.word) + '</span> ' +
+      escapeHtml(item.gloss) + (item.fuzzy ? '?' : '') + '</span>'
+    ).join('') +
+    '</span>';
+}
+
+/**
+ * Looks up the frequency ranks of the saved words, for sorting the list by them.
+ */
+async function updateVocabularyRanks() {
+  const words = vocabulary.map(item => item.word);
+  const ranks = await callDictionary('frequencyRanks', words);
+  vocabularyRanks = new Map(words.map((word, i) => [word, ranks[i]]));
+}
+
+function renderVocabulary() {
+  const list = document.getElementById('vocabulary-list');
+  document.getElementById('vocabulary-count').textContent =
+    vocabulary.length === 1 ? '1 word' : vocabulary.length + ' words';
+  document.getElementById('export-tsv').disabled = vocabulary.length === 0;
+  document.getElementById('export-csv').disabled = vocabulary.length === 0;
+
+  if (vocabulary.length === 0) {
+    list.innerHTML = '<p><em>No saved words yet. Select a word and press ☆ Save.</em></p>';
+    return;
+  }
+
+  // Saved order is most recent first; words without a rank sort last
+  const rank = item => vocabularyRanks.get(item.word) || Infinity;
+  const items = vocabularySort === 'frequency'
+    ? [...vocabulary].sort((a, b) => (rank(a) === rank(b) ? 0 : rank(a) < rank(b) ? -1 : 1))
+    : vocabulary;
+
+  list.innerHTML = items.map(item =>
+    '<div class="vocabulary-item">' +
+    '<div class="word">' + escapeHtml(item.word) +
+    (vocabularyRanks.get(item.word)
+      ? '<span class="frequency">#' + vocabularyRanks.get(item.word) + ' · ' + frequencyBand(vocabularyRanks.get(item.word)) + '</span>'
+      : '') +
+    '<button class="delete-button" data-word="' + escapeHtml(item.word) + '">Delete</button></div>' +
+    '<div>' + renderResults(item.results) + '</div>' +
+    (item.sentence ? '<div class="sentence">' + escapeHtml(item.sentence) + '</div>' : '') +
+    '</div>'
+  ).join('');
+}
+
+function renderHistory() {
+  const list = document.getElementById('history-list');
+
+  if (textHistory.length === 0) {
+    list.innerHTML = '<p><em>No texts loaded yet.</em></p>';
+    return;
+  }
+
+  list.innerHTML = textHistory.map(item => {
+    const preview = item.text.length > 100 ? item.text.substring(0, 100) + '…' : item.text;
+    return '<div class="history-item">' +
+      '<div class="history-date">' + escapeHtml(new Date(item.loadedAt).toLocaleString()) +
+      '<button class="delete-button" data-id="' + escapeHtml(item.id) + '">Delete</button>' +
+      '<button class="link-button" data-id="' + escapeHtml(item.id) + '">Copy link</button>' +
+      '<button class="open-button" data-id="' + escapeHtml(item.id) + '">Open</button></div>' +
+      '<div class="history-preview">' + escapeHtml(preview) + '</div>' +
+      (item.lookups.length > 0
+        ? '<div class="history-lookups">' + escapeHtml(item.lookups.join(', ')) + '</div>'
+        : '') +
+      '</div>';
+  }).join('');
+}
+
+function isProperNoun(entry) {
+  return entry.headword !== entry.headword.toLowerCase();
+}
+
+/**
+ * Renders every sense of a headword. A single common-noun entry is shown as plain
+ * text; otherwise senses are numbered, common words first, and proper-noun entries
+ * are labeled with their original casing.
+ */
+function renderEntries(entries) {
+  if (entries.length === 1 && !isProperNoun(entries[0])) {
+    return renderDefinition(entries[0].definition);
+  }
+
+  const sorted = [...entries].sort((a, b) => isProperNoun(a) - isProperNoun(b));
+  return '<ol class="senses">' +
+    sorted.map(entry =>
+      '<li>' +
+      (isProperNoun(entry)
+        ? '<span class="entry-label">proper noun</span> <span class="entry-headword">' +
+          escapeHtml(entry.headword) + '</span>: '
+        : '') +
+      renderDefinition(entry.definition) + '</li>'
+    ).join('') +
+    '</ol>';
+}
+
+/**
+ * Renders a definition string, e.g. "(1) see bênh; (2) to display (goods)":
+ * - Senses, numbered "(1) … (2) …" or separated by semicolons, become a numbered list
+ * - Parenthetical and bracketed notes such as "(lunar sea)" or "[=không]" are styled as notes
+ * - Vietnamese words become links that look them up in the tooltip
+ */
+function renderDefinition(definition) {
+  const senses = splitSenses(definition);
+  if (senses.length === 1) {
+    return renderDefinitionText(senses[0]);
+  }
+  return '<ol class="definition-senses">' +
+    senses.map(sense => '<li>' + renderDefinitionText(sense) + '</li>').join('') +
+    '</ol>';
+}
+
+function splitSenses(definition) {
+  const trimmed = definition.trim();
+  const senses = /^\(\d+\)/.test(trimmed)
+    ? trimmed.split(/\(\d+\)/)
+    : splitOutsideNotes(trimmed, ';');
+  const cleaned = senses.map(sense => sense.trim().replace(/;$/, '').trim()).filter(sense => sense);
+  return cleaned.length > 0 ? cleaned : [trimmed];
+}
+
+/**
+ * Splits text at a separator, except inside parentheses or brackets.
+ */
+function splitOutsideNotes(text, separator) {
+  const parts = [''];
+  let depth = 0;
+  for (const char of text) {
+    if (char === '(' || char === '[') depth++;
+    if ((char === ')' || char === ']') && depth > 0) depth--;
+    if (char === separator && depth === 0) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Renders one sense, styling top-level notes in parentheses or brackets.
+ */
+function renderDefinitionText(text) {
+  let html = '';
+  let depth = 0;
+  let part = '';
+  for (const char of text) {
+    if ((char === '(' || char === '[') && depth++ === 0) {
+      html += renderDefinitionLinks(part);
+      part = '';
+    }
+    part += char;
+    if ((char === ')' || char === ']') && depth > 0 && --depth === 0) {
+      html += '<span class="definition-note">' + part[0] +
+        renderDefinitionLinks(part.substring(1, part.length - 1)) + part[part.length - 1] + '</span>';
+      part = '';
+    }
+  }
+  return html + renderDefinitionLinks(part);
+}
+
+/**
+ * Escapes definition text, linking its Vietnamese words. Words with Vietnamese
+ * letters (anything beyond ASCII) are linked, as is the target of a cross-reference
+ * that makes up the whole text, e.g. "see chu" or "=bỏ bố". Consecutive linked
+ * words form one link.
+ */
+function renderDefinitionLinks(text) {
+  const words = findWords(text);
+  const crossReference = text.match(/^\s*(?:see also|see|=)\s*/i);
+
+  const linked = words.map(word => /[^\x00-\x7f]/.test(word.word));
+  if (crossReference) {
+    const first = words.findIndex(word => word.startIndex >= crossReference[0].length);
+    for (let i = first; i !== -1 && i < words.length; i++) {
+      linked[i] = true;
+      if (!words[i].joinsNext) break;
+    }
+  }
+
+  let html = '';
+  let position = 0;
+  for (let i = 0; i < words.length; i++) {
+    if (!linked[i] || (i > 0 && linked[i - 1] && words[i - 1].joinsNext)) continue;
+
+    let last = i;
+    while (last + 1 < words.length && linked[last + 1] && words[last].joinsNext) {
+      last++;
+    }
+    const start = words[i].startIndex;
+    const end = words[last].endIndex;
+    const phrase = words.slice(i, last + 1).map(word => word.word).join(' ');
+    html += escapeHtml(text.substring(position, start)) +
+      '<a class="definition-link" data-word="' + escapeHtml(phrase) + '">' +
+      escapeHtml(text.substring(start, end)) + '</a>';
+    position = end;
+  }
+  return html + escapeHtml(text.substring(position));
+}
+
+/**
+ * Renders lookup results from each dictionary in order. Dictionary names are only
+ * shown when more than one dictionary is enabled.
+ */
+function renderResults(results) {
+  const showNames = dictionaries.filter(dictionary => dictionary.enabled).length > 1;
+  return results.map(result =>
+    '<div class="dictionary-result">' +
+    (showNames ? '<div class="dictionary-name">' + escapeHtml(result.name) + '</div>' : '') +
+    renderEntries(result.entries) +
+    '</div>'
+  ).join('');
+}
+
+/**
+ * Renders the per-syllable glosses of a selection that some dictionaries have no
+ * entry for, one line per syllable.
+ */
+function renderBreakdown(breakdown) {
+  const showNames = dictionaries.filter(dictionary => dictionary.enabled).length > 1;
+  return '<div class="breakdown">' +
+    '<div class="breakdown-title">By syllable</div>' +
+    breakdown.map(({ syllable, glosses }) =>
+      '<div class="breakdown-row"><span class="syllable">' + escapeHtml(syllable) + '</span> ' +
+      (glosses.length > 0
+        ? glosses.map(({ name, gloss }) =>
+          '<span class="breakdown-gloss">' +
+          (showNames ? '<span class="dictionary-name">' + escapeHtml(name) + '</span> ' : '') +
+          escapeHtml(gloss) + '</span>'
+        ).join('')
+        : '–') +
+      '</div>'
+    ).join('') +
+    '</div>';
+}
 
-      startIndex = wordPos.startIndex;
-    }
+/**
+ * Explains a match found by a word-formation rule (see morphology.js), above the
+ * definitions of its base word or noun, which link to their own lookups.
+ */
+function renderMorphology(morphology) {
+  const link = word => '<a class="definition-link" data-word="' + escapeHtml(word) + '">' + escapeHtml(word) + '</a>';
+  if (morphology.type === 'reduplication') {
+    return '<div class="morphology">Reduplicative of ' + link(morphology.base) +
+      ' (' + escapeHtml(morphology.effect) + ')</div>';
   }
+  return '<div class="morphology"><span class="syllable">' + escapeHtml(morphology.classifier) + '</span>: ' +
+    'classifier for ' + escapeHtml(morphology.role) + ' + ' + link(morphology.noun) + '</div>';
+}
 
-  return {
-    text: currentText.substring(startIndex, endIndex),
-    startIndex: startIndex,
-    endIndex: endIndex,
-  };
+/**
+ * Says what a recognized phrase is (see recognize.js), e.g. "Number: 25".
+ */
+function renderRecognized(recognized) {
+  let description;
+  if (recognized.type === 'number') {
+    description = 'Number: ' + recognized.value.toLocaleString('en-US');
+  } else if (recognized.type === 'date') {
+    description = 'Date: ' + formatDate(recognized);
+  } else if (recognized.type === 'foreign') {
+    description = recognized.capitalized ? 'Foreign name' : 'Foreign word';
+  } else {
+    description = 'Name';
+  }
+  return '<div class="recognized">' + escapeHtml(description) + '</div>';
 }
 
-// ===== RENDERING =====
-function render() {
-  const textDisplay = document.getElementById('text-display');
-  const tooltip = document.getElementById('tooltip');
+/**
+ * Formats a recognized date, any of whose parts may be missing, e.g.
+ * "2 September 1945", "September 1945" or "1945".
+ */
+function formatDate({ day, month, year }) {
+  const monthName = month
+    ? new Date(Date.UTC(2000, month - 1, 1)).toLocaleString('en-GB', { month: 'long', timeZone: 'UTC' })
+    : null;
+  return [day, monthName, year].filter(part => part !== null).join(' ');
+}
 
-  // Render text with highlight
-  if (!currentText) {
-    textDisplay.textContent = '';
-    tooltip.classList.add('hidden');
+/**
+ * Renders reverse lookup results, with the query marked in each definition.
+ */
+function renderSearchResults(query, results) {
+  const list = document.getElementById('search-results');
+  if (!query.trim()) {
+    list.innerHTML = '';
+    return;
+  }
+  if (results.length === 0) {
+    const chineseDisabled = /\p{Script=Han}/u.test(query) &&
+      !dictionaries.some(dictionary => dictionary.language === 'zh' && dictionary.enabled);
+    list.innerHTML = '<p><em>' +
+      (chineseDisabled ? 'Enable the Chinese dictionary (中) to search Chinese.' : 'No Vietnamese words found.') +
+      '</em></p>';
     return;
   }
 
-  if (currentSelection) {
-    const before = currentText.substring(0, currentSelection.startIndex);
-    const highlighted = currentText.substring(currentSelection.startIndex, currentSelection.endIndex);
-    const after = currentText.substring(currentSelection.endIndex);
+  const showNames = dictionaries.filter(dictionary => dictionary.enabled).length > 1;
+  const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  list.innerHTML = results.map(result => {
+    const index = result.definition.toLowerCase().indexOf(normalizedQuery);
+    const definition = index === -1
+      ? escapeHtml(result.definition)
+      : escapeHtml(result.definition.substring(0, index)) +
+        '<mark>' + escapeHtml(result.definition.substring(index, index + normalizedQuery.length)) + '</mark>' +
+        escapeHtml(result.definition.substring(index + normalizedQuery.length));
+    return '<div class="search-result' + (result.exact ? ' exact' : '') + '">' +
+      '<div class="word">' + escapeHtml(result.headword) + '</div>' +
+      (showNames ? '<div class="dictionary-name">' + escapeHtml(result.name) + '</div>' : '') +
+      '<div>' + definition + '</div>' +
+      '</div>';
+  }).join('');
+}
 
-    textDisplay.innerHTML =
-      escapeHtml(before) +
-      '<span class="highlight">' + escapeHtml(highlighted) + '</span>' +
-      escapeHtml(after);
+function renderSpeechSettings() {
+  const voiceSelect = document.getElementById('speech-voice');
+  const message = document.getElementById('speech-message');
+  const voices = speechEngine ? speechEngine.getVoices() : [];
+
+  voiceSelect.innerHTML = '<option value="">Default</option>' + voices.map(voice =>
+    '<option value="' + escapeHtml(voice.id) + '"' + (voice.id === speechPreferences.voiceId ? ' selected' : '') + '>' +
+    escapeHtml(voice.name) + ' (' + escapeHtml(voice.lang) + ')</option>'
+  ).join('');
+  document.getElementById('speech-rate').value = speechPreferences.rate;
+  document.getElementById('speech-rate-value').textContent = speechPreferences.rate.toFixed(1) + '×';
+
+  if (!speechEngine) {
+    message.textContent = 'This browser does not support text-to-speech.';
+  } else if (voices.length === 0) {
+    message.textContent = 'No Vietnamese voice is installed. Add one in your system\'s speech or language settings.';
+  } else {
+    message.textContent = '';
+  }
+}
 
-    const englishDefinition = currentSelection.definition
-      ? escapeHtml(currentSelection.definition)
-      : '<em>no definition</em>';
+function renderSettings() {
+  for (const input of document.querySelectorAll('#settings [data-setting]')) {
+    if (input.type === 'checkbox') {
+      input.checked = settings[input.dataset.setting];
+    } else {
+      input.value = settings[input.dataset.setting];
+    }
+  }
+  document.getElementById('font-size-value').textContent = settings.fontSize + 'px';
+  document.getElementById('line-spacing-value').textContent = settings.lineSpacing.toFixed(2) + '×';
+
+  document.getElementById('settings-dictionaries').innerHTML = dictionaries.map(dictionary =>
+    '<label><input type="checkbox" data-id="' + escapeHtml(dictionary.id) + '"' +
+    (dictionary.enabled ? ' checked' : '') + '> ' + escapeHtml(dictionary.name) + '</label>'
+  ).join('');
+
+  document.getElementById('keymap-list').innerHTML = KEY_ACTIONS.map(action =>
+    '<div class="keymap-item" data-id="' + action.id + '">' +
+    '<span class="keymap-name">' + escapeHtml(action.name) + '</span>' +
+    keysFor(action).map(key =>
+      '<kbd>' + escapeHtml(key) + '</kbd>' +
+      '<button data-action="unbind" data-key="' + escapeHtml(key) + '" title="Remove">×</button>'
+    ).join('') +
+    '<button data-action="record"' + (recordingActionId === action.id ? ' class="recording"' : '') + '>' +
+    (recordingActionId === action.id ? 'Press a key…' : '+ Key') + '</button>' +
+    '</div>'
+  ).join('');
+
+  for (const input of document.querySelectorAll('#gesture-settings [data-gesture]')) {
+    input.checked = gesturePreferences[input.dataset.gesture];
+  }
+}
 
-    // Check for Chinese dictionary entry (exact match only)
-    const chineseDefinition = chineseEnabled ? chineseDictionary.get(currentSelection.word.toLowerCase()) : null;
+function renderDictionaries() {
+  const list = document.getElementById('dictionary-list');
+  list.innerHTML = dictionaries.map((dictionary, index) =>
+    '<div class="dictionary-item" data-id="' + escapeHtml(dictionary.id) + '">' +
+    '<label><input type="checkbox" data-action="enable"' + (dictionary.enabled ? ' checked' : '') + '> ' +
+    escapeHtml(dictionary.name) + '</label>' +
+    '<span class="dictionary-language">' + escapeHtml(LANGUAGE_NAMES[dictionary.language] || dictionary.language) + '</span>' +
+    '<button data-action="up"' + (index === 0 ? ' disabled' : '') + '>↑</button>' +
+    '<button data-action="down"' + (index === dictionaries.length - 1 ? ' disabled' : '') + '>↓</button>' +
+    (dictionary.builtIn ? '' : '<button data-action="delete">Delete</button>') +
+    '</div>'
+  ).join('');
+}
 
-    tooltip.innerHTML =
-      '<div class="word">' + escapeHtml(currentSelection.word) + '</div>' +
-      '<div>' + englishDefinition + '</div>' +
-      (chineseDefinition ? '<div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid var(--border-color-light);">' +
-        escapeHtml(chineseDefinition) + '</div>' : '');
-    tooltip.classList.remove('hidden');
+/**
+ * Renders the Hán/Nôm characters of a selection: the compound's characters if
+ * known, followed by the candidate characters of each syllable.
+ */
+function renderCharacters(characters) {
+  const maxCandidates = 12;
+  return '<div class="characters">' +
+    (characters.compound ? '<span class="compound-characters">' + escapeHtml(characters.compound) + '</span>' : '') +
+    characters.syllables.map(({ syllable, characters: candidates }) =>
+      '<span class="syllable-characters"><span class="syllable">' + escapeHtml(syllable) + '</span> ' +
+      (candidates.length > 0
+        ? escapeHtml(candidates.slice(0, maxCandidates).join(' ')) + (candidates.length > maxCandidates ? ' …' : '')
+        : '–') +
+      '</span>'
+    ).join('') +
+    '</div>';
+}
 
-    // Position tooltip below the highlighted text
-    requestAnimationFrame(() => {
-      const highlightElement = textDisplay.querySelector('.highlight');
-      if (highlightElement) {
-        const highlightRect = highlightElement.getBoundingClientRect();
-        const readerRect = document.getElementById('reader').getBoundingClientRect();
-
-        // Position below the highlight, accounting for scroll position
-        const reader = document.getElementById('reader');
-        tooltip.style.top = (highlightRect.bottom - readerRect.top + reader.scrollTop + 5) + 'px';
-      }
-    });
-  } else {
-    textDisplay.textContent = currentText;
-    tooltip.classList.add('hidden');
-  }
+function renderCandidates(candidates) {
+  return '<div class="candidates-note"><em>no exact match; possible words:</em></div>' +
+    '<ul class="candidates">' +
+    candidates.map(candidate =>
+      '<li><span class="candidate-word">' + escapeHtml(candidate.word) + '</span> ' +
+      renderResults(candidate.results) + '</li>'
+    ).join('') +
+    '</ul>';
 }
 
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // innerHTML leaves quotes alone, which would end attribute values such as a "
+  // key binding's data-key
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // Helper function to get text offset in the element
 function getTextOffsetFromPoint(element, x, y) {
-  let charIndex = 0;
   let clickedNode = null;
   let clickedOffset = 0;
 
@@ -323,259 +2086,316 @@ function getTextOffsetFromPoint(element, x, y) {
 
   if (!clickedNode) return 0;
 
-  // Walk the DOM tree and count characters until we reach the clicked node
-  function walkTree(node) {
-    if (node === clickedNode) {
-      charIndex += clickedOffset;
-      return true; // Found it
-    }
+  // Gloss lines are not part of the text
+  const clickedElement = clickedNode.nodeType === Node.ELEMENT_NODE ? clickedNode : clickedNode.parentElement;
+  if (clickedElement && clickedElement.closest('.gloss-line')) return null;
 
-    if (node.nodeType === Node.TEXT_NODE) {
-      charIndex += node.textContent.length;
-    } else if (node.nodeType === Node.ELEMENT_NODE) {
-      for (let child of node.childNodes) {
-        if (walkTree(child)) return true;
-      }
+  // Within a token, the offset is relative to the token's text
+  const tokenElement = clickedElement && clickedElement.closest('[data-token]');
+  if (tokenElement) {
+    const token = textView.tokens[tokenElement.dataset.token];
+    if (clickedNode.nodeType === Node.TEXT_NODE) {
+      return token.startIndex + clickedOffset;
     }
-
-    return false;
+    return clickedOffset > 0 ? token.endIndex : token.startIndex;
   }
 
-  walkTree(element);
-  return charIndex;
+  // Between tokens (e.g. past the end of a line), the offset is a child index
+  if (!element.contains(clickedNode)) return null;
+  const before = clickedNode.childNodes[clickedOffset - 1];
+  const after = clickedNode.childNodes[clickedOffset];
+  if (before && before.dataset && before.dataset.token) {
+    return textView.tokens[before.dataset.token].endIndex;
+  }
+  if (after && after.dataset && after.dataset.token) {
+    return textView.tokens[after.dataset.token].startIndex;
+  }
+  return null;
 }
 
 // ===== EVENT HANDLERS =====
-function handleTextClick(event) {
-  if (!currentText) return;
+async function handleTextClick(event) {
+  if (!reader.text) return;
 
   const textDisplay = document.getElementById('text-display');
 
   // If click is outside text-display, clear selection
   if (!textDisplay.contains(event.target) && event.target !== textDisplay) {
-    currentSelection = null;
-    currentWordIndex = null;
+    reader = clearSelection(reader);
     render();
     return;
   }
 
   // Use browser API to find the exact character position from click coordinates
   const charIndex = getTextOffsetFromPoint(textDisplay, event.clientX, event.clientY);
+  if (charIndex === null) return;
 
-  // Find word boundaries (alphabetic characters only)
-  let wordStart = charIndex;
-  while (wordStart > 0 && /[a-zA-ZÀ-ỹ]/.test(currentText[wordStart - 1])) {
-    wordStart--;
+  // Clicking whitespace clears the selection
+  reader = await selectWordAt(reader, charIndex, readerDictionary, settings.clickPreference);
+  if (!reader.selection) {
+    render();
+    return;
   }
 
-  let wordEnd = charIndex;
-  while (wordEnd < currentText.length && /[a-zA-ZÀ-ỹ]/.test(currentText[wordEnd])) {
-    wordEnd++;
-  }
+  await updateSelectionDetails();
+  recordLookup();
+
+  console.log(`Clicked on "${reader.selection.word}"`);
+  render();
+}
+
+async function handleResizeSelection(direction) {
+  if (reader.words.length === 0) return;
 
-  // If no word was found (clicked on whitespace), clear selection
-  if (wordStart === wordEnd) {
-    currentSelection = null;
-    currentWordIndex = null;
+  // Initialize to first word if nothing selected
+  if (reader.wordIndex === null) {
+    reader = await resizeSelection(reader, direction, readerDictionary);
+    await updateSelectionDetails();
     render();
     return;
   }
 
-  // Try both directions and pick the longest match
-  const matchStarting = findLongestMatchStartingWith(currentText, wordStart);
-  const matchEnding = findLongestMatchEndingWith(currentText, wordEnd);
+  if (!reader.selection) return;
 
-  let match = null;
-  let startIndex = wordStart;
+  reader = await resizeSelection(reader, direction, readerDictionary);
+  await updateSelectionDetails();
+  recordLookup();
 
-  if (matchStarting && matchEnding) {
-    // Pick whichever match is longer (more words)
-    const startingWordCount = matchStarting.word.split(/\s+/).length;
-    const endingWordCount = matchEnding.word.split(/\s+/).length;
+  console.log(`Resized selection to "${reader.selection.word}" (${direction})`);
+  render();
+}
 
-    if (endingWordCount > startingWordCount) {
-      match = matchEnding;
-      startIndex = wordEnd - matchEnding.word.length;
-    } else {
-      match = matchStarting;
-      startIndex = wordStart;
-    }
-  } else if (matchStarting) {
-    match = matchStarting;
-    startIndex = wordStart;
-  } else if (matchEnding) {
-    match = matchEnding;
-    startIndex = wordEnd - matchEnding.word.length;
-  }
-
-  if (match) {
-    currentSelection = {
-      word: match.word,
-      definition: match.definition,
-      startIndex: startIndex,
-      endIndex: startIndex + match.word.length,
-    };
+async function handleNavigate(direction) {
+  if (reader.words.length === 0) return;
 
-    // Update currentWordIndex to match this selection
-    const matchingIndex = wordPositions.findIndex(wp => wp.startIndex === startIndex);
-    if (matchingIndex !== -1) {
-      currentWordIndex = matchingIndex;
-    }
-  } else {
-    const clickedWordIndex = wordPositions.findIndex(wp => wp.startIndex === wordStart);
-    if (clickedWordIndex !== -1) {
-      currentWordIndex = clickedWordIndex;
-      const noMatches = findConsecutiveWordsWithNoMatch(clickedWordIndex, 'right');
-      currentSelection = {
-        word: noMatches.text,
-        definition: null,
-        startIndex: noMatches.startIndex,
-        endIndex: noMatches.endIndex,
-      };
-    } else {
-      // Fallback to just the clicked word if not found in wordPositions
-      const clickedWord = currentText.substring(wordStart, wordEnd);
-      currentSelection = {
-        word: clickedWord,
-        definition: null,
-        startIndex: wordStart,
-        endIndex: wordEnd,
-      };
-    }
-  }
+  const oldWordIndex = reader.wordIndex;
+  reader = await navigate(reader, direction, readerDictionary);
+  await updateSelectionDetails();
+  recordLookup();
 
-  console.log(`Clicked on "${currentSelection.word}"`);
+  console.log(`Navigating from ${oldWordIndex} to ${reader.wordIndex}.`);
   render();
 }
 
-function handleResizeSelection(direction) {
-  if (wordPositions.length === 0) return;
+async function handleNavigateSentence(direction) {
+  if (reader.words.length === 0) return;
 
-  // Initialize to first word if nothing selected
-  if (currentWordIndex === null) {
-    currentWordIndex = 0;
-    updateSelection('right');
-    render();
+  reader = await navigateSentence(reader, direction, readerDictionary);
+  await updateSelectionDetails();
+  recordLookup();
+
+  console.log(`Moved to the sentence at word ${reader.wordIndex} (${direction}).`);
+  render();
+}
+
+function handleKeyDown(event) {
+  const key = keyName(event);
+  if (!key) return;
+
+  // The settings record the next key pressed; Escape cancels
+  if (recordingActionId) {
+    event.preventDefault();
+    if (key !== 'Escape') {
+      bindKey(recordingActionId, key);
+    }
+    recordingActionId = null;
+    renderSettings();
     return;
   }
 
-  if (!currentSelection) return;
+  const action = KEY_ACTIONS.find(keyAction => keysFor(keyAction).includes(key));
+  if (!action) return;
+  // Leave keys alone while typing in a form field
+  if (event.target.closest && event.target.closest('input, select, textarea') && action.id !== 'clear') return;
+  if (activePanel !== null && !action.anywhere) return;
+
+  event.preventDefault();
+  action.run();
+}
+
+/**
+ * Closes the panel that is showing, or else stops speaking and clears the selection.
+ */
+function handleClear() {
+  if (activePanel !== null) {
+    handleTogglePanel(activePanel);
+    return;
+  }
+  runAction(() => {
+    stopSpeaking();
+    reader = clearSelection(reader);
+    render();
+  });
+}
 
-  let newStartIndex = currentSelection.startIndex;
-  let newEndIndex = currentSelection.endIndex;
+function handleSearchKey() {
+  if (activePanel === 'search') {
+    document.getElementById('search-input').focus();
+  } else {
+    handleTogglePanel('search');
+  }
+}
 
-  if (direction === 'right') {
-    // Increase by 1 word
-    const nextWord = wordPositions.find(wp => wp.startIndex >= currentSelection.endIndex);
-    if (nextWord) {
-      newEndIndex = nextWord.endIndex;
+function handleTouchStart(event) {
+  clearTimeout(touchGesture && touchGesture.longPressTimer);
+
+  if (event.touches.length === 2 && gesturePreferences.pinch) {
+    touchGesture = { type: 'pinch', distance: touchDistance(event.touches) };
+  } else if (event.touches.length === 1) {
+    const { clientX, clientY } = event.touches[0];
+    touchGesture = { type: 'touch', x: clientX, y: clientY, time: Date.now(), longPressed: false, longPressTimer: null };
+    if (gesturePreferences.longPress && reader.text) {
+      const gesture = touchGesture;
+      gesture.longPressTimer = setTimeout(() => {
+        gesture.longPressed = true;
+        runAction(() => handleLongPress(gesture.x, gesture.y));
+      }, LONG_PRESS_DURATION);
     }
-  } else if (direction === 'left') {
-    // Decrease by 1 word
-    const wordsInSelection = wordPositions.filter(
-      wp => wp.startIndex >= currentSelection.startIndex && wp.endIndex <= currentSelection.endIndex
-    );
+  } else {
+    touchGesture = null;
+  }
+}
+
+function handleTouchMove(event) {
+  if (!touchGesture) return;
 
-    if (wordsInSelection.length > 1) {
-      newEndIndex = wordsInSelection[wordsInSelection.length - 2].endIndex;
+  if (touchGesture.type === 'touch') {
+    // Moving the finger is not a long press
+    const touch = event.touches[0];
+    if (Math.hypot(touch.clientX - touchGesture.x, touch.clientY - touchGesture.y) > 10) {
+      clearTimeout(touchGesture.longPressTimer);
+    }
+  } else if (touchGesture.type === 'pinch' && event.touches.length === 2) {
+    // Spreading the fingers grows the selection by a word at each step, and
+    // pinching them shrinks it
+    const distance = touchDistance(event.touches);
+    if (distance > touchGesture.distance * PINCH_STEP || distance < touchGesture.distance / PINCH_STEP) {
+      const direction = distance > touchGesture.distance ? 'right' : 'left';
+      touchGesture.distance = distance;
+      runAction(() => handleResizeSelection(direction));
     }
   }
+}
 
-  const selectedText = currentText.substring(newStartIndex, newEndIndex);
-  const phrase = selectedText.split(/[^a-zA-ZÀ-ỹ]+/).filter(w => w).join(' ').toLowerCase();
-  const definition = englishDictionary.get(phrase);
+function handleTouchEnd(event) {
+  if (!touchGesture || touchGesture.type !== 'touch') {
+    if (event.touches.length === 0) touchGesture = null;
+    return;
+  }
 
-  currentSelection = {
-    word: phrase,
-    definition: definition || null,
-    startIndex: newStartIndex,
-    endIndex: newEndIndex,
-  };
+  const gesture = touchGesture;
+  touchGesture = null;
+  clearTimeout(gesture.longPressTimer);
 
-  console.log(`Resized selection to "${phrase}" (${direction})`);
-  render();
-}
+  // Keep the tap that ends a long press from selecting the word again
+  if (gesture.longPressed) {
+    event.preventDefault();
+    return;
+  }
 
-function handleNavigate(direction) {
-  if (wordPositions.length === 0) return;
+  const touch = event.changedTouches[0];
+  const dx = touch.clientX - gesture.x;
+  const dy = touch.clientY - gesture.y;
+  if (gesturePreferences.swipe && Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > 2 * Math.abs(dy) &&
+    Date.now() - gesture.time < 1000) {
+    // Swiping left moves forward, like turning a page
+    event.preventDefault();
+    runAction(() => handleNavigate(dx < 0 ? 'right' : 'left'));
+  }
+}
 
-  // Initialize to first word if nothing selected
-  let wasNull = false;
-  if (currentWordIndex === null) {
-    wasNull = true;
-    currentWordIndex = 0;
+function handleContextMenu(event) {
+  // A long press on a touch screen would also open the context menu
+  if (touchGesture && touchGesture.type === 'touch' && gesturePreferences.longPress) {
+    event.preventDefault();
   }
+}
 
-  const oldWordIndex = currentWordIndex;
+async function handleLongPress(x, y) {
+  const charIndex = getTextOffsetFromPoint(document.getElementById('text-display'), x, y);
+  if (charIndex === null) return;
 
-  // Only navigate if we weren't starting from null
-  if (!wasNull) {
-    // Check if current selection is multi-word
-    const isMultiWord = currentSelection && currentSelection.word.split(/\s+/).length > 1;
+  reader = await extendSelectionTo(reader, charIndex, readerDictionary, settings.clickPreference);
+  if (!reader.selection) return;
 
-    if (!isMultiWord) {
-      // Single word or no selection - use simple increment
-      if (direction === 'right') {
-        if (currentWordIndex < wordPositions.length - 1) {
-          currentWordIndex = currentWordIndex + 1;
-        }
-      } else if (direction === 'left') {
-        if (currentWordIndex > 0) {
-          currentWordIndex = currentWordIndex - 1;
-        }
-      }
-    } else {
-      // Multi-word selection - skip to next word outside selection
-      if (direction === 'right') {
-        // Find first word that starts after current selection ends
-        for (let i = currentWordIndex + 1; i < wordPositions.length; i++) {
-          if (wordPositions[i].startIndex >= currentSelection.endIndex) {
-            currentWordIndex = i;
-            break;
-          }
-        }
-      } else if (direction === 'left') {
-        // Find last word that ends before current selection starts
-        for (let i = currentWordIndex - 1; i >= 0; i--) {
-          if (wordPositions[i].endIndex <= currentSelection.startIndex) {
-            currentWordIndex = i;
-            break;
-          }
-        }
-      }
-    }
+  await updateSelectionDetails();
+  recordLookup();
+
+  console.log(`Extended selection to "${reader.selection.word}"`);
+  render();
+}
+
+function handleSettingsInput(event) {
+  const key = event.target.dataset.setting;
+  if (!key) return;
+
+  if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+    settings[key] = event.target.checked;
+  } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+    const value = Number(event.target.value);
+    // Wait for a whole phrase length while it is typed
+    if (!event.target.checkValidity() || !value) return;
+    settings[key] = value;
+  } else {
+    settings[key] = event.target.value;
+  }
+  storeSettings();
+  renderSettings();
+
+  if (key === 'maxPhraseWords') {
+    runAction(applyMaxPhraseWords);
+  } else if (key === 'watchClipboard') {
+    // Reading now lets the browser ask for permission while the user is here
+    checkClipboard();
+  } else {
+    applyAppearanceSettings();
   }
+}
 
-  updateSelection(direction);
+function handleClipboardMessageClick(event) {
+  const button = event.target.closest('button');
+  if (!button) return;
 
-  // After finding the selection, align currentWordIndex to the start of the matched phrase
-  if (currentSelection) {
-    const matchingIndex = wordPositions.findIndex(wp => wp.startIndex === currentSelection.startIndex);
-    if (matchingIndex !== -1) {
-      currentWordIndex = matchingIndex;
-    }
+  const offeredText = document.getElementById('clipboard-message').dataset.offeredText;
+  showClipboardMessage(null);
+  if (button.dataset.action === 'load' && offeredText) {
+    runAction(() => loadText(offeredText));
   }
+}
 
-  console.log(`Navigating from ${oldWordIndex} to ${currentWordIndex}.`);
-  render();
+function handleSettingsDictionaryChange(event) {
+  const id = event.target.dataset.id;
+  if (!id) return;
+
+  dictionaries.find(dictionary => dictionary.id === id).enabled = event.target.checked;
+  updateToggleButton();
+  runAction(applyDictionaryRegistry);
 }
 
-function handleKeyDown(event) {
-  if (event.key === 'ArrowLeft') {
-    event.preventDefault();
-    if (event.altKey) {
-      handleResizeSelection('left');
-    } else {
-      handleNavigate('left');
-    }
-  } else if (event.key === 'ArrowRight') {
-    event.preventDefault();
-    if (event.altKey) {
-      handleResizeSelection('right');
-    } else {
-      handleNavigate('right');
-    }
+function handleKeymapClick(event) {
+  const button = event.target.closest('button');
+  if (!button) return;
+
+  const id = button.closest('.keymap-item').dataset.id;
+  if (button.dataset.action === 'record') {
+    recordingActionId = recordingActionId === id ? null : id;
+  } else if (button.dataset.action === 'unbind') {
+    unbindKey(id, button.dataset.key);
   }
+  renderSettings();
+}
+
+function handleResetKeymap() {
+  keymap = {};
+  recordingActionId = null;
+  storeKeymap();
+  renderSettings();
+}
+
+function handleGestureSettingsChange(event) {
+  gesturePreferences[event.target.dataset.gesture] = event.target.checked;
+  storeGesturePreferences();
+  applyGesturePreferences();
 }
 
 function handlePaste(event) {
@@ -584,27 +2404,286 @@ function handlePaste(event) {
   if (pastedText) {
     console.log('Pasted text: "', pastedText.substring(0, 50) + '"…');
 
-    if (showHelp) {
-      document.getElementById('help-text-header').textContent = 'Your clipboard';
-    }
-
-    currentText = pastedText;
-    updateWordPositions();
-    render();
+    runAction(() => loadText(pastedText));
     // Clear the input field
     event.target.value = '';
   }
 }
 
 function handleToggleChinese() {
-  chineseEnabled = !chineseEnabled;
+  const chineseDictionary = dictionaries.find(dictionary => dictionary.id === 'zh');
+  chineseDictionary.enabled = !chineseDictionary.enabled;
   updateToggleButton();
-  render();
+  runAction(applyDictionaryRegistry);
 }
 
 function updateToggleButton() {
   const button = document.getElementById('toggle-chinese');
-  button.classList.toggle('inactive', !chineseEnabled);
+  const chineseDictionary = dictionaries.find(dictionary => dictionary.id === 'zh');
+  button.classList.toggle('inactive', !chineseDictionary.enabled);
+}
+
+function handleDictionaryListChange(event) {
+  if (event.target.dataset.action !== 'enable') return;
+
+  const id = event.target.closest('.dictionary-item').dataset.id;
+  dictionaries.find(dictionary => dictionary.id === id).enabled = event.target.checked;
+  updateToggleButton();
+  runAction(applyDictionaryRegistry);
+}
+
+function handleDictionaryListClick(event) {
+  const button = event.target.closest('button');
+  if (!button) return;
+
+  const id = button.closest('.dictionary-item').dataset.id;
+  const action = button.dataset.action;
+
+  if (action === 'up' || action === 'down') {
+    moveDictionary(id, action === 'up' ? -1 : 1);
+    renderDictionaries();
+    runAction(applyDictionaryRegistry);
+  } else if (action === 'delete') {
+    const dictionary = dictionaries.find(item => item.id === id);
+    if (!confirm(`Delete the dictionary "${dictionary.name}"?`)) return;
+
+    runAction(async () => {
+      await deleteDictionary(id);
+      renderDictionaries();
+    });
+  }
+}
+
+function handleImportDictionary(event) {
+  event.preventDefault();
+  const fileInput = document.getElementById('dictionary-file');
+  const nameInput = document.getElementById('dictionary-name');
+  const languageInput = document.getElementById('dictionary-language');
+  const message = document.getElementById('import-message');
+
+  const file = fileInput.files[0];
+  if (!file) {
+    message.textContent = 'Choose a file to import.';
+    return;
+  }
+  const name = nameInput.value.trim() || file.name.replace(/\.[^.]+$/, '');
+
+  message.textContent = 'Importing…';
+  runAction(async () => {
+    try {
+      const termCount = await importDictionary(file, name, languageInput.value);
+      message.textContent = `Imported ${termCount} terms into "${name}".`;
+      fileInput.value = '';
+      nameInput.value = '';
+    } catch (err) {
+      console.error('Failed to import dictionary:', err);
+      message.textContent = 'Error: ' + err.message;
+    }
+    renderDictionaries();
+  });
+}
+
+/**
+ * Cycles through segment modes: off, underline recognized words, and underline
+ * with a gloss line under each sentence.
+ */
+function handleToggleSegments() {
+  const modes = ['off', 'segments', 'gloss'];
+  segmentMode = modes[(modes.indexOf(segmentMode) + 1) % modes.length];
+  updateSegmentButton();
+  render();
+}
+
+function updateSegmentButton() {
+  const button = document.getElementById('toggle-segments');
+  button.classList.toggle('inactive', segmentMode === 'off');
+  button.textContent = segmentMode === 'gloss' ? 'Từ≡' : 'Từ';
+}
+
+function handleTooltipClick(event) {
+  const link = event.target.closest('.definition-link');
+  if (link) {
+    event.stopPropagation();
+    runAction(async () => {
+      await showLinkedLookup(link.dataset.word);
+      render();
+    });
+    return;
+  }
+
+  const button = event.target.closest('[data-action]');
+  if (!button) return;
+
+  // Keep the click from reaching the reader, which would clear the selection
+  event.stopPropagation();
+  if (button.dataset.action === 'save') {
+    toggleSaveSelection();
+    render();
+  } else if (button.dataset.action === 'back') {
+    showPreviousLookup();
+    render();
+  } else if (button.dataset.action === 'status') {
+    setWordStatus(displayedLookup().word, button.dataset.status);
+    renderStatuses();
+    render();
+  } else if (button.dataset.action === 'speak') {
+    speakSelection();
+  } else if (button.dataset.action === 'read-sentence') {
+    readSentence();
+  } else if (button.dataset.action === 'stop-speaking') {
+    stopSpeaking();
+    render();
+  }
+}
+
+const PANELS = ['vocabulary', 'history', 'dictionaries', 'speech', 'search', 'settings'];
+
+/**
+ * Shows a panel (one of PANELS) in place of the reader, or returns to the reader
+ * if the panel is already showing. Each panel has a toggle button with the id
+ * '<panel>-button'.
+ */
+function handleTogglePanel(panel) {
+  activePanel = activePanel === panel ? null : panel;
+  recordingActionId = null;
+
+  for (const name of PANELS) {
+    document.getElementById(name).classList.toggle('hidden', activePanel !== name);
+    document.getElementById(name + '-button').classList.toggle('inactive', activePanel !== name);
+  }
+  document.getElementById('reader').classList.toggle('hidden', activePanel !== null);
+  document.getElementById('bottom-bar').classList.toggle('hidden', activePanel !== null);
+
+  if (activePanel === 'vocabulary') {
+    renderVocabulary();
+    runAction(async () => {
+      await updateVocabularyRanks();
+      renderVocabulary();
+    });
+  } else if (activePanel === 'history') {
+    renderHistory();
+  } else if (activePanel === 'dictionaries') {
+    renderDictionaries();
+  } else if (activePanel === 'speech') {
+    renderSpeechSettings();
+  } else if (activePanel === 'search') {
+    document.getElementById('search-input').focus();
+  } else if (activePanel === 'settings') {
+    renderSettings();
+  } else {
+    render();
+  }
+}
+
+/**
+ * Runs a reverse lookup as the user types. Results for a query that has since
+ * changed are dropped.
+ */
+async function handleSearchInput() {
+  const input = document.getElementById('search-input');
+  const query = input.value;
+  try {
+    const results = query.trim() ? await callDictionary('reverseLookup', query) : [];
+    if (input.value === query) {
+      renderSearchResults(query, results);
+    }
+  } catch (err) {
+    console.error('Failed to search definitions:', err);
+    showDictionaryStatus('Error: ' + err.message, true);
+  }
+}
+
+function handleSpeechSettingsChange(event) {
+  if (event.target.id === 'speech-voice') {
+    speechPreferences.voiceId = event.target.value || null;
+  } else if (event.target.id === 'speech-rate') {
+    speechPreferences.rate = Number(event.target.value);
+  }
+  storeSpeechPreferences();
+  renderSpeechSettings();
+}
+
+function handleTestSpeech() {
+  speakText('Xin chào, đây là giọng đọc tiếng Việt.');
+}
+
+function handleVocabularySort(event) {
+  vocabularySort = event.target.value;
+  renderVocabulary();
+}
+
+function handleVocabularyClick(event) {
+  const button = event.target.closest('.delete-button');
+  if (!button) return;
+
+  deleteVocabularyItem(button.dataset.word);
+  renderVocabulary();
+}
+
+function handleHistoryClick(event) {
+  const openButton = event.target.closest('.open-button');
+  if (openButton) {
+    handleTogglePanel('history');
+    runAction(() => openHistoryItem(openButton.dataset.id));
+    return;
+  }
+
+  const linkButton = event.target.closest('.link-button');
+  if (linkButton) {
+    const item = textHistory.find(historyItem => historyItem.id === linkButton.dataset.id);
+    navigator.clipboard.writeText(getTextLink(item.text)).then(
+      () => { linkButton.textContent = 'Copied'; },
+      (err) => { console.error('Failed to copy link:', err); }
+    );
+    return;
+  }
+
+  const deleteButton = event.target.closest('.delete-button');
+  if (deleteButton) {
+    deleteHistoryItem(deleteButton.dataset.id);
+    renderHistory();
+  }
+}
+
+function handleFileInput(event) {
+  const file = event.target.files[0];
+  if (file) {
+    runAction(() => loadFile(file));
+  }
+  // Allow picking the same file again
+  event.target.value = '';
+}
+
+function handleDragOver(event) {
+  // Files and text can only be dropped on the reader
+  if (activePanel !== null) return;
+  event.preventDefault();
+  document.getElementById('reader').classList.add('drop-target');
+}
+
+function handleDragLeave() {
+  document.getElementById('reader').classList.remove('drop-target');
+}
+
+function handleDrop(event) {
+  document.getElementById('reader').classList.remove('drop-target');
+  if (activePanel !== null) return;
+  event.preventDefault();
+
+  const file = event.dataTransfer.files[0];
+  const text = event.dataTransfer.getData('text/plain');
+  if (file) {
+    runAction(() => loadFile(file));
+  } else if (text) {
+    runAction(() => loadText(text));
+  }
+}
+
+function handleHashChange() {
+  const text = readTextFromUrl();
+  if (text) {
+    runAction(() => loadText(text));
+  }
 }
 
 function handleToggleHelp() {
@@ -620,47 +2699,121 @@ function handleToggleHelp() {
   // Hide tooltip
   tooltip.classList.add('hidden');
 
-  if (showHelp) {
-    if (!currentText) {
-      currentText = exampleText;
-      updateWordPositions();
-      render();
-      helpTextHeader.textContent = 'Example';
-    } else {
-      helpTextHeader.textContent = 'Your clipboard';
-    }
-  } else {
-    if (currentText === exampleText) {
-      currentText = '';
-      updateWordPositions();
+  // The example replaces the reader's text, so it waits for queued actions
+  runAction(() => {
+    if (showHelp) {
+      if (!reader.text) {
+        currentHistoryId = null;
+        setReaderText(exampleText);
+        render();
+        helpTextHeader.textContent = 'Example';
+      } else {
+        helpTextHeader.textContent = 'Your clipboard';
+      }
+    } else if (reader.text === exampleText) {
+      currentHistoryId = null;
+      setReaderText('');
       render();
     }
-  }
+  });
 }
 
 // ===== INITIALIZATION =====
-async function init() {
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('sw.js')
+    .then(() => console.log('Service worker registered.'))
+    .catch(err => console.error('Service worker registration failed:', err));
+}
+
+function init() {
   console.log('Initializing app…');
   try {
-    await loadDictionaries();
-    console.log('Dictionaries loaded successfully.');
+    loadSettings();
+    applyAppearanceSettings();
+
+    // Dictionaries load in the background; the app is usable while they do
+    loadDictionaryRegistry();
+    startDictionaryWorker();
 
     // Set up event listeners
     console.log('Setting up event listeners…');
     document.getElementById('paste-input').addEventListener('paste', handlePaste);
     document.getElementById('load-button').addEventListener('click', readClipboard);
-    document.getElementById('reader').addEventListener('click', handleTextClick);
-    document.getElementById('nav-left').addEventListener('click', () => handleNavigate('left'));
-    document.getElementById('nav-right').addEventListener('click', () => handleNavigate('right'));
-    document.getElementById('nav-within-left').addEventListener('click', () => handleResizeSelection('left'));
-    document.getElementById('nav-within-right').addEventListener('click', () => handleResizeSelection('right'));
+    document.getElementById('clipboard-message').addEventListener('click', handleClipboardMessageClick);
+    window.addEventListener('focus', checkClipboard);
+    document.addEventListener('visibilitychange', checkClipboard);
+    window.addEventListener('pagehide', handlePageHide);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') handlePageHide();
+    });
+    document.getElementById('file-button').addEventListener('click', () => document.getElementById('file-input').click());
+    document.getElementById('file-input').addEventListener('change', handleFileInput);
+    document.getElementById('app').addEventListener('dragover', handleDragOver);
+    document.getElementById('app').addEventListener('dragleave', handleDragLeave);
+    document.getElementById('app').addEventListener('drop', handleDrop);
+    window.addEventListener('hashchange', handleHashChange);
+    document.getElementById('reader').addEventListener('click', (event) => runAction(() => handleTextClick(event)));
+    document.getElementById('nav-left').addEventListener('click', () => runAction(() => handleNavigate('left')));
+    document.getElementById('nav-right').addEventListener('click', () => runAction(() => handleNavigate('right')));
+    document.getElementById('nav-within-left').addEventListener('click', () => runAction(() => handleResizeSelection('left')));
+    document.getElementById('nav-within-right').addEventListener('click', () => runAction(() => handleResizeSelection('right')));
     document.getElementById('toggle-chinese').addEventListener('click', handleToggleChinese);
+    document.getElementById('toggle-segments').addEventListener('click', handleToggleSegments);
     document.getElementById('help-button').addEventListener('click', handleToggleHelp);
+    document.getElementById('tooltip').addEventListener('click', handleTooltipClick);
+    document.getElementById('vocabulary-button').addEventListener('click', () => handleTogglePanel('vocabulary'));
+    document.getElementById('history-button').addEventListener('click', () => handleTogglePanel('history'));
+    document.getElementById('history-list').addEventListener('click', handleHistoryClick);
+    document.getElementById('dictionaries-button').addEventListener('click', () => handleTogglePanel('dictionaries'));
+    document.getElementById('dictionary-list').addEventListener('change', handleDictionaryListChange);
+    document.getElementById('dictionary-list').addEventListener('click', handleDictionaryListClick);
+    document.getElementById('import-form').addEventListener('submit', handleImportDictionary);
+    document.getElementById('vocabulary-list').addEventListener('click', handleVocabularyClick);
+    document.getElementById('vocabulary-sort').addEventListener('change', handleVocabularySort);
+    document.getElementById('export-tsv').addEventListener('click', () => downloadVocabulary('tsv'));
+    document.getElementById('export-csv').addEventListener('click', () => downloadVocabulary('csv'));
+    document.getElementById('speech-button').addEventListener('click', () => handleTogglePanel('speech'));
+    document.getElementById('search-button').addEventListener('click', () => handleTogglePanel('search'));
+    document.getElementById('search-input').addEventListener('input', handleSearchInput);
+    document.getElementById('speech-settings').addEventListener('input', handleSpeechSettingsChange);
+    document.getElementById('speech-test').addEventListener('click', handleTestSpeech);
+    document.getElementById('settings-button').addEventListener('click', () => handleTogglePanel('settings'));
+    document.getElementById('settings-form').addEventListener('input', handleSettingsInput);
+    document.getElementById('settings-dictionaries').addEventListener('change', handleSettingsDictionaryChange);
+    document.getElementById('keymap-list').addEventListener('click', handleKeymapClick);
+    document.getElementById('keymap-reset').addEventListener('click', handleResetKeymap);
+    document.getElementById('gesture-settings').addEventListener('change', handleGestureSettingsChange);
     window.addEventListener('keydown', handleKeyDown);
+    document.getElementById('reader').addEventListener('touchstart', handleTouchStart, { passive: true });
+    document.getElementById('reader').addEventListener('touchmove', handleTouchMove, { passive: true });
+    document.getElementById('reader').addEventListener('touchend', handleTouchEnd);
+    document.getElementById('reader').addEventListener('touchcancel', () => { touchGesture = null; });
+    document.getElementById('reader').addEventListener('contextmenu', handleContextMenu);
     console.log('Event listeners set up.');
 
     // Set initial toggle button state
     updateToggleButton();
+    updateSegmentButton();
+
+    loadVocabulary();
+    loadHistory();
+    loadWordStatuses();
+    loadSpeechPreferences();
+    setSpeechEngine(createWebSpeechEngine());
+    loadKeymap();
+    loadGesturePreferences();
+    applyGesturePreferences();
+
+    // Open text passed in a link or shared from another app
+    const urlText = readTextFromUrl();
+    if (urlText) {
+      runAction(() => loadText(urlText));
+    }
+
+    // Cache the app and dictionaries for offline use
+    registerServiceWorker();
 
     // Show app, hide loading
     document.getElementById('loading').classList.add('hidden');
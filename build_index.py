@@ -0,0 +1,114 @@
+#!/usr/bin/env python3
+"""
+Build prebuilt dictionary indexes for the app.
+
+Parses dictionaries in "term : definition" format (vnedict.txt, zh/dict.txt and
+the Hán/Nôm characters in zh/chars.txt) the same way the app does and writes them
+as compact JSON, so the dictionary worker can load them without splitting
+megabytes of text line by line.
+
+Output format: {term: [entry, ...], ...}
+  - term: lowercased, NFC-normalized headword, used as the lookup key
+  - entry: the definition, or [headword, definition] when the headword's original
+    casing differs from the term (e.g. proper nouns)
+
+Also stamps a hash of the dictionary files into sw.js, so that the service
+worker replaces its cached copies whenever a dictionary changes.
+"""
+
+import hashlib
+import json
+import os
+import re
+import sys
+import unicodedata
+
+# Served to the app as is (see DICTIONARY_FILES in sw.js)
+RAW_FILES = ['frequency.txt']
+
+DICTIONARIES = [
+    ('vnedict.txt', 'index/vnedict.json'),
+    ('zh/dict.txt', 'index/zh.json'),
+    ('zh/chars.txt', 'index/zh-chars.json'),
+]
+
+
+def parse_dictionary(content):
+    """
+    Parse dictionary text into a dict of term -> list of (headword, definition).
+
+    Duplicate headwords keep every distinct definition, in file order.
+    """
+    entries = {}
+    for line in content.split('\n'):
+        trimmed = line.strip().lstrip('\ufeff').strip()
+        if not trimmed or trimmed.startswith('#'):
+            continue
+
+        colon_index = trimmed.find(':')
+        if colon_index == -1:
+            continue
+
+        # NFC, like text loaded into the app
+        headword = unicodedata.normalize('NFC', trimmed[:colon_index].strip())
+        definition = trimmed[colon_index + 1:].strip()
+        term = headword.lower()
+
+        term_entries = entries.setdefault(term, [])
+        if (headword, definition) not in term_entries:
+            term_entries.append((headword, definition))
+
+    return entries
+
+
+def encode_entries(term, term_entries):
+    """Encode entries compactly, omitting headwords that equal the term."""
+    return [
+        definition if headword == term else [headword, definition]
+        for headword, definition in term_entries
+    ]
+
+
+def update_service_worker_version(files, service_worker='sw.js'):
+    """Write a hash of the given files to DICTIONARY_VERSION in the service worker."""
+    digest = hashlib.sha256()
+    for path in files:
+        with open(path, 'rb') as f:
+            digest.update(f.read())
+    version = digest.hexdigest()[:12]
+
+    with open(service_worker, 'r', encoding='utf-8') as f:
+        content = f.read()
+    content = re.sub(r"const DICTIONARY_VERSION = '[^']*';",
+                     f"const DICTIONARY_VERSION = '{version}';", content)
+    with open(service_worker, 'w', encoding='utf-8') as f:
+        f.write(content)
+
+    print(f"Dictionary version in {service_worker}: {version}")
+
+
+def main():
+    """Build all dictionary indexes."""
+    for input_file, output_file in DICTIONARIES:
+        print(f"Building {output_file} from {input_file}...")
+
+        try:
+            with open(input_file, 'r', encoding='utf-8') as infile:
+                entries = parse_dictionary(infile.read())
+        except FileNotFoundError:
+            print(f"Error: Could not find input file '{input_file}'", file=sys.stderr)
+            sys.exit(1)
+
+        index = {term: encode_entries(term, term_entries) for term, term_entries in entries.items()}
+
+        os.makedirs(os.path.dirname(output_file), exist_ok=True)
+        with open(output_file, 'w', encoding='utf-8') as outfile:
+            json.dump(index, outfile, ensure_ascii=False, separators=(',', ':'))
+
+        print(f"Terms written: {len(index)}")
+
+    update_service_worker_version([path for pair in DICTIONARIES for path in pair] + RAW_FILES)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,666 @@
+// Dictionary worker: loads the dictionaries and answers lookups off the main thread.
+//
+// Requests are { id, method, args } messages and are answered with { id, result }
+// or { id, error }. Requests are handled one at a time in the order they arrive,
+// so lookups sent while dictionaries are loading wait for loading to finish.
+
+import {
+  MAX_PHRASE_WORDS,
+  detectSeparator,
+  findLongestMatchEndingWith,
+  findLongestMatchStartingWith,
+  findRunWithoutMatch,
+  frequencyRank,
+  parseDictionary,
+  parseIndex,
+} from './reader.js';
+import { findRuleMatchEndingWith, findRuleMatchStartingWith, preferLongerMatch } from './morphology.js';
+
+// ===== STATE =====
+// Dictionary descriptors in the user's order, as sent by the main thread with
+// setDictionaries. Each contains id, name, language, enabled and, for built-in
+// dictionaries, indexUrl and textUrl. Dictionaries with Hán/Nôm characters also
+// contain charactersIndexUrl and charactersTextUrl.
+let dictionaryList = [];
+// Parsed dictionaries by id
+const loadedDictionaries = new Map();
+// Parsed Hán/Nôm characters by dictionary id, with candidates as the definition
+const loadedCharacters = new Map();
+let foldedIndex = new Map();
+let syllableCounts = new Map();
+// Built on the first reverse lookup after the dictionaries change
+let reverseIndex = null;
+// Rank in the word-frequency list (1 = most common) by lowercased term
+let frequencyRanks = new Map();
+// Words of the current text as sent by the main thread with setWords (see
+// findWords in text.js)
+let currentWords = [];
+// Longest phrase to look up, in words, as set in the app's settings
+let maxPhraseWords = MAX_PHRASE_WORDS;
+
+// ===== DICTIONARY LOADING =====
+/**
+ * Loads a dictionary from its prebuilt index, falling back to parsing the source
+ * text file if the index has not been built.
+ */
+async function loadDictionary(indexUrl, textUrl, targetMap) {
+  const indexResponse = await fetch(indexUrl);
+  if (indexResponse.ok) {
+    parseIndex(await indexResponse.json(), targetMap);
+    return;
+  }
+
+  console.warn(`Prebuilt index ${indexUrl} not found, parsing ${textUrl} instead.`);
+  const textResponse = await fetch(textUrl);
+  if (!textResponse.ok) {
+    throw new Error(`Failed to load ${textUrl} (${textResponse.status})`);
+  }
+  parseDictionary(await textResponse.text(), targetMap);
+}
+
+/**
+ * Parses a word-frequency list: one word or phrase per line, most common first,
+ * optionally followed by whitespace and a count (e.g. "của 1234567"). If the
+ * file is missing, every word is left without a rank.
+ *
+ * @returns {Promise<number>} Number of ranked words
+ */
+async function loadFrequencyList(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.warn(`Frequency list ${url} not found, words will have no frequency rank.`);
+    return 0;
+  }
+
+  frequencyRanks = new Map();
+  for (const line of (await response.text()).split('\n')) {
+    const term = line.trim().replace(/\s+\d+$/, '').replace(/\s+/g, ' ').toLowerCase().normalize('NFC');
+    if (term && !term.startsWith('#') && !frequencyRanks.has(term)) {
+      frequencyRanks.set(term, frequencyRanks.size + 1);
+    }
+  }
+  return frequencyRanks.size;
+}
+
+/**
+ * Updates the list of dictionaries, loading any built-in dictionary that is
+ * enabled but not loaded yet, and rebuilds the folded index from the enabled ones.
+ */
+async function setDictionaries(descriptors) {
+  dictionaryList = descriptors;
+
+  // Load in parallel
+  await Promise.all(descriptors
+    .filter(descriptor => descriptor.enabled && descriptor.indexUrl && !loadedDictionaries.has(descriptor.id))
+    .map(async (descriptor) => {
+      const targetMap = new Map();
+      await loadDictionary(descriptor.indexUrl, descriptor.textUrl, targetMap);
+      loadedDictionaries.set(descriptor.id, targetMap);
+    }));
+
+  await Promise.all(descriptors
+    .filter(descriptor => descriptor.enabled && descriptor.charactersIndexUrl && !loadedCharacters.has(descriptor.id))
+    .map(async (descriptor) => {
+      const targetMap = new Map();
+      await loadDictionary(descriptor.charactersIndexUrl, descriptor.charactersTextUrl, targetMap);
+      loadedCharacters.set(descriptor.id, targetMap);
+    }));
+
+  buildFoldedIndex();
+}
+
+/**
+ * Parses a user-supplied dictionary. Its descriptor is sent separately with
+ * setDictionaries.
+ *
+ * @returns {number} Number of terms in the dictionary
+ */
+function addDictionary(id, content) {
+  const targetMap = new Map();
+  parseDictionary(content, targetMap, detectSeparator(content));
+  loadedDictionaries.set(id, targetMap);
+  buildFoldedIndex();
+  return targetMap.size;
+}
+
+function removeDictionary(id) {
+  loadedDictionaries.delete(id);
+  dictionaryList = dictionaryList.filter(descriptor => descriptor.id !== id);
+  buildFoldedIndex();
+}
+
+/**
+ * Returns the enabled dictionaries that are loaded, in the user's order.
+ */
+function enabledDictionaries() {
+  return dictionaryList
+    .filter(descriptor => descriptor.enabled && loadedDictionaries.has(descriptor.id))
+    .map(descriptor => ({ descriptor, map: loadedDictionaries.get(descriptor.id) }));
+}
+
+/**
+ * Removes tone marks and other diacritics so that text typed without them
+ * ("nguoi ta") can be compared with dictionary headwords ("người ta").
+ */
+function foldDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase();
+}
+
+/**
+ * Builds the secondary index used for diacritic-insensitive lookup, mapping
+ * each folded headword in the enabled dictionaries to every headword that
+ * collapses to it. Also counts how often each syllable occurs across all
+ * headwords, which is used as a rough proxy for word frequency when ranking
+ * candidates.
+ */
+function buildFoldedIndex() {
+  foldedIndex = new Map();
+  syllableCounts = new Map();
+  reverseIndex = null;
+
+  for (const { map } of enabledDictionaries()) {
+    for (const term of map.keys()) {
+      const folded = foldDiacritics(term);
+      if (!foldedIndex.has(folded)) {
+        foldedIndex.set(folded, new Set());
+      }
+      foldedIndex.get(folded).add(term);
+
+      for (const syllable of term.split(' ')) {
+        syllableCounts.set(syllable, (syllableCounts.get(syllable) || 0) + 1);
+      }
+    }
+  }
+}
+
+// ===== DICTIONARY LOOKUP =====
+/**
+ * Looks up a term in every enabled dictionary.
+ *
+ * @returns {Array<Object>|null} Results in the user's dictionary order, each containing:
+ *   - dictionaryId, name, language: From the dictionary's descriptor
+ *   - entries: The dictionary's entries for the term
+ */
+function lookupTerm(term) {
+  const results = [];
+  for (const { descriptor, map } of enabledDictionaries()) {
+    const entries = map.get(term);
+    if (entries) {
+      results.push({
+        dictionaryId: descriptor.id,
+        name: descriptor.name,
+        language: descriptor.language,
+        entries,
+      });
+    }
+  }
+  return results.length > 0 ? results : null;
+}
+
+/**
+ * Looks up a single phrase. Exact matches take precedence. If there is none and
+ * the phrase was typed without diacritics, every headword that folds to the same
+ * unaccented form is returned as a ranked list of candidates.
+ *
+ * @param {string} phrase - Lowercased words separated by single spaces
+ * @returns {Object|null} Object containing:
+ *   - word: The phrase as it appears in the text
+ *   - results: Results of an exact match (see lookupTerm), or null for fuzzy matches
+ *   - candidates: Ranked { word, results, rank } objects for fuzzy matches, or null
+ *   - rank: The phrase's rank in the frequency list for exact matches (see
+ *     frequencyRank in reader.js), or null
+ */
+function lookupPhrase(phrase) {
+  const results = lookupTerm(phrase);
+  if (results) {
+    return { word: phrase, results, candidates: null, rank: frequencyRank(frequencyRanks, phrase) };
+  }
+
+  const folded = foldDiacritics(phrase);
+  if (folded !== phrase) return null;
+
+  const terms = foldedIndex.get(folded);
+  if (!terms) return null;
+
+  const candidates = rankCandidates([...terms].map(term => ({
+    word: term,
+    results: lookupTerm(term),
+    rank: frequencyRank(frequencyRanks, term),
+  })));
+  return { word: phrase, results: null, candidates, rank: null };
+}
+
+/**
+ * Orders fuzzy candidates so that the most likely reading comes first. Common
+ * words rank above terms that only exist as proper nouns, then words higher in
+ * the frequency list, then words made up of common syllables, and shorter
+ * definitions break ties since they tend to belong to basic vocabulary.
+ */
+function rankCandidates(candidates) {
+  const score = candidate => candidate.word
+    .split(' ')
+    .reduce((sum, syllable) => sum + Math.log(syllableCounts.get(syllable) || 1), 0);
+  const onlyProperNouns = candidate => candidate.results
+    .every(result => result.entries.every(entry => entry.headword !== candidate.word));
+  const definitionLength = candidate => candidate.results[0].entries[0].definition.length;
+  const rank = candidate => candidate.rank || Infinity;
+
+  return candidates.sort((a, b) =>
+    onlyProperNouns(a) - onlyProperNouns(b) ||
+    (rank(a) === rank(b) ? 0 : rank(a) < rank(b) ? -1 : 1) ||
+    score(b) - score(a) ||
+    definitionLength(a) - definitionLength(b)
+  );
+}
+
+/**
+ * Looks up each syllable of a phrase on its own, for phrases that not every
+ * enabled dictionary has an entry for.
+ *
+ * @returns {Array<Object>} For each syllable, an object containing:
+ *   - syllable: The syllable, lowercased
+ *   - glosses: Array of { dictionaryId, name, gloss } with the first sense of
+ *     the syllable in each enabled dictionary that has it
+ */
+function lookupSyllables(phrase) {
+  return phrase.toLowerCase().split(' ').map(syllable => ({
+    syllable,
+    glosses: (lookupTerm(syllable) || []).map(result => ({
+      dictionaryId: result.dictionaryId,
+      name: result.name,
+      gloss: shortGloss(result.entries[0].definition),
+    })),
+  }));
+}
+
+// ===== REVERSE LOOKUP =====
+// Finds Vietnamese headwords from words in their definitions ("how do I say X").
+// Definitions are indexed by their Latin words and by each Chinese character.
+
+const MAX_REVERSE_RESULTS = 50;
+
+/**
+ * Splits a lowercased definition or query into the tokens the reverse index uses.
+ */
+function reverseTokens(text) {
+  return [
+    ...(text.match(/[\p{Script=Latin}\p{N}]+/gu) || []),
+    ...(text.match(/\p{Script=Han}/gu) || []),
+  ];
+}
+
+/**
+ * Builds the inverted index over the definitions of the enabled dictionaries.
+ *
+ * @returns {Object} Object containing:
+ *   - postings: Map of token to an array of { descriptor, term, entry }
+ *   - latinTokens: The Latin tokens in sorted order, for prefix searches
+ */
+function buildReverseIndex() {
+  const postings = new Map();
+  for (const { descriptor, map } of enabledDictionaries()) {
+    for (const [term, entries] of map) {
+      for (const entry of entries) {
+        for (const token of new Set(reverseTokens(entry.definition.toLowerCase()))) {
+          if (!postings.has(token)) {
+            postings.set(token, []);
+          }
+          postings.get(token).push({ descriptor, term, entry });
+        }
+      }
+    }
+  }
+
+  const latinTokens = [...postings.keys()].filter(token => !/\p{Script=Han}/u.test(token)).sort();
+  console.log(`Reverse index built with ${postings.size} tokens`);
+  return { postings, latinTokens };
+}
+
+/**
+ * Finds the postings of every token that starts with the given Latin token, so
+ * that "walk" also finds "walking". Chinese characters match exactly.
+ */
+function findPostings(token) {
+  if (/\p{Script=Han}/u.test(token)) {
+    return reverseIndex.postings.get(token) || [];
+  }
+
+  const tokens = reverseIndex.latinTokens;
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (tokens[middle] < token) low = middle + 1;
+    else high = middle;
+  }
+
+  const postings = [];
+  for (let i = low; i < tokens.length && tokens[i].startsWith(token); i++) {
+    postings.push(...reverseIndex.postings.get(tokens[i]));
+  }
+  return postings;
+}
+
+/**
+ * Ranks how well a definition matches a query (without a leading "to"):
+ *   0: A whole sense is the query, apart from a leading "to" and notes in
+ *      parentheses, e.g. "walk" in "(1) to walk; (2) step" or "(take a) walk"
+ *   1: The query appears as whole words
+ *   2: The query only appears inside longer words
+ */
+function reverseMatchRank(definition, query) {
+  const senses = definition
+    .split(/[,;，；]|\(\d+\)/)
+    .map(sense => sense.replace(/\([^)]*\)/g, '').trim().replace(/^to /, ''));
+  if (senses.includes(query)) return 0;
+
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const wholeWords = new RegExp('(?<![\\p{L}\\p{N}])' + escaped + '(?![\\p{L}\\p{N}])', 'u');
+  return /\p{Script=Han}/u.test(query) || wholeWords.test(definition) ? 1 : 2;
+}
+
+/**
+ * Looks up Vietnamese headwords whose definitions contain the query.
+ *
+ * @param {string} query - English words or Chinese characters
+ * @returns {Array<Object>} Up to MAX_REVERSE_RESULTS matches, best first, each containing:
+ *   - word: The Vietnamese term
+ *   - headword, definition: The matching entry
+ *   - dictionaryId, name: The dictionary the entry is from
+ *   - exact: Whether a whole sense of the definition is the query
+ */
+function reverseLookup(query) {
+  // Verbs are defined as "to walk" or as "(take a) walk", so "to walk" is searched
+  // for as "walk" and matches both
+  const normalizedQuery = query.trim().toLowerCase().normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .replace(/^to (?=.)/, '');
+  const tokens = reverseTokens(normalizedQuery);
+  if (tokens.length === 0) return [];
+
+  if (!reverseIndex) {
+    reverseIndex = buildReverseIndex();
+  }
+
+  // Start from the rarest token's postings and check the whole query against each
+  const candidates = tokens
+    .map(findPostings)
+    .sort((a, b) => a.length - b.length)[0];
+
+  const best = new Map();
+  for (const { descriptor, term, entry } of candidates) {
+    const definition = entry.definition.toLowerCase();
+    if (!definition.includes(normalizedQuery)) continue;
+
+    const match = {
+      word: term,
+      headword: entry.headword,
+      definition: entry.definition,
+      dictionaryId: descriptor.id,
+      name: descriptor.name,
+      rank: reverseMatchRank(definition, normalizedQuery),
+    };
+    const key = descriptor.id + '\n' + term;
+    const previous = best.get(key);
+    if (!previous || match.rank < previous.rank ||
+      (match.rank === previous.rank && match.definition.length < previous.definition.length)) {
+      best.set(key, match);
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => a.rank - b.rank || a.definition.length - b.definition.length)
+    .slice(0, MAX_REVERSE_RESULTS)
+    .map(({ rank, ...match }) => ({ ...match, exact: rank === 0 }));
+}
+
+// ===== HÁN/NÔM CHARACTERS =====
+/**
+ * Looks up the Hán/Nôm characters of each syllable of a phrase in the enabled
+ * dictionaries that have them.
+ *
+ * @param {string} phrase - Lowercased words separated by single spaces
+ * @returns {Object|null} Object containing:
+ *   - syllables: Array of { syllable, characters } with the candidate characters
+ *     for each syllable (possibly empty)
+ *   - compound: Characters of the whole phrase if known, or null
+ */
+function lookupCharacters(phrase) {
+  const sources = dictionaryList.filter(descriptor => descriptor.enabled && loadedCharacters.has(descriptor.id));
+  if (sources.length === 0) return null;
+
+  const candidatesFor = term => [...new Set(sources
+    .flatMap(descriptor => loadedCharacters.get(descriptor.id).get(term) || [])
+    .flatMap(entry => entry.definition.split(' ')))];
+
+  // Single-character translations (e.g. "chính : 正; 正是") are readings too
+  const translatedCharacters = syllable => sources
+    .flatMap(descriptor => (loadedDictionaries.get(descriptor.id) || new Map()).get(syllable) || [])
+    .flatMap(entry => entry.definition.split(/[;,，]\s*/))
+    .filter(part => /^[\u3400-\u9fff\uf900-\ufaff\u{20000}-\u{3134f}]$/u.test(part));
+
+  const syllables = phrase.split(' ').map(syllable => ({
+    syllable,
+    characters: [...new Set([...translatedCharacters(syllable), ...candidatesFor(syllable)])],
+  }));
+  let compound = null;
+  if (syllables.length > 1) {
+    compound = candidatesFor(phrase)[0] || findCompoundCharacters(phrase, syllables, sources);
+  }
+  if (compound && [...compound].length === syllables.length) {
+    [...compound].forEach((character, i) => {
+      if (syllables[i].characters.length === 0) syllables[i].characters.push(character);
+    });
+  }
+
+  if (!compound && syllables.every(syllable => syllable.characters.length === 0)) return null;
+  return { syllables, compound };
+}
+
+/**
+ * Finds the characters of a Sino-Vietnamese compound in its Chinese definitions,
+ * e.g. "chính trị" is defined as 政治. A run of characters is accepted if it has
+ * one character per syllable, at least one character is a known reading of its
+ * syllable and no character contradicts the known readings.
+ */
+function findCompoundCharacters(phrase, syllables, sources) {
+  for (const descriptor of sources) {
+    const entries = (loadedDictionaries.get(descriptor.id) || new Map()).get(phrase) || [];
+    for (const entry of entries) {
+      const runs = entry.definition.match(/[\u3400-\u9fff\uf900-\ufaff\u{20000}-\u{3134f}]+/gu) || [];
+      for (const run of runs) {
+        const characters = [...run];
+        if (characters.length !== syllables.length) continue;
+
+        const known = syllables.map((syllable, i) =>
+          syllable.characters.length === 0 ? null : syllable.characters.includes(characters[i])
+        );
+        if (known.includes(true) && !known.includes(false)) {
+          return run;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// ===== SEGMENTATION =====
+/**
+ * Segments the whole text into dictionary words. Each run of words that can form
+ * phrases is segmented on its own, since phrases never span punctuation.
+ *
+ * @param {Array<Object>} words - Words of the text
+ * @returns {Array<Object>} Recognized words in text order, each containing:
+ *   - word: The lowercased phrase
+ *   - startIndex: Character position where the word starts
+ *   - endIndex: Character position where the word ends
+ *   - gloss: A short gloss from the first dictionary with an entry
+ *   - fuzzy: Whether the word was only found by diacritic-insensitive lookup
+ *   - rank: The word's rank in the frequency list, or null
+ */
+function segmentText(words) {
+  const segments = [];
+  let run = [];
+
+  words.forEach((word, i) => {
+    run.push({
+      word: word.word.toLowerCase(),
+      startIndex: word.startIndex,
+      endIndex: word.endIndex,
+    });
+    if (!word.joinsNext || i === words.length - 1) {
+      segments.push(...segmentWords(run));
+      run = [];
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Finds the best segmentation of a run of words with dynamic programming.
+ * Dictionary words cost 1 (1.5 if only found without diacritics) and unknown
+ * single words cost 2, so the cheapest segmentation uses the fewest and longest
+ * dictionary words, unlike a greedy left-to-right match which can swallow the
+ * first syllable of the following word.
+ */
+function segmentWords(words) {
+  const cost = [0];
+  const previous = [];
+  const matches = [];
+
+  for (let end = 1; end <= words.length; end++) {
+    cost[end] = Infinity;
+
+    // Try matches from longest to shortest
+    for (let length = Math.min(end, maxPhraseWords); length >= 1; length--) {
+      const start = end - length;
+      const phrase = words.slice(start, end).map(w => w.word).join(' ');
+      const match = lookupPhrase(phrase);
+
+      let stepCost;
+      if (match) {
+        stepCost = match.results ? 1 : 1.5;
+      } else if (length === 1) {
+        stepCost = 2;
+      } else {
+        continue;
+      }
+
+      if (cost[start] + stepCost < cost[end]) {
+        cost[end] = cost[start] + stepCost;
+        previous[end] = start;
+        matches[end] = match;
+      }
+    }
+  }
+
+  const segments = [];
+  for (let end = words.length; end > 0; end = previous[end]) {
+    const match = matches[end];
+    if (!match) continue;
+
+    const results = match.results || match.candidates[0].results;
+    segments.unshift({
+      word: match.word,
+      startIndex: words[previous[end]].startIndex,
+      endIndex: words[end - 1].endIndex,
+      gloss: shortGloss(results[0].entries[0].definition),
+      fuzzy: !match.results,
+      rank: match.rank,
+    });
+  }
+  return segments;
+}
+
+/**
+ * Shortens a definition to its first sense, e.g. "(1) board, committee; (2) ..."
+ * becomes "board".
+ */
+function shortGloss(definition) {
+  const firstSense = definition
+    .replace(/^\(\d+\)\s*/, '')
+    .split(/[,;，；]/)[0]
+    .trim();
+  return firstSense.length > 30 ? firstSense.substring(0, 29) + '…' : firstSense;
+}
+
+/**
+ * Drops a rule match longer than the phrase length limit, which applies to
+ * rules as it does to dictionary phrases.
+ */
+function withinPhraseLimit(match) {
+  return match && match.endWordIndex - match.startWordIndex < maxPhraseWords ? match : null;
+}
+
+// ===== MESSAGE HANDLING =====
+// Lookups that take a word index operate on the words last sent with setWords,
+// so that long texts are not copied to the worker on every request. Longest
+// matches fall back to the word-formation rules in morphology.js.
+const methods = {
+  setDictionaries,
+  addDictionary,
+  removeDictionary,
+  loadFrequencyList,
+  frequencyRanks(terms) {
+    return terms.map(term => frequencyRank(frequencyRanks, term));
+  },
+  setWords(words) {
+    currentWords = words;
+  },
+  setMaxPhraseWords(count) {
+    maxPhraseWords = count;
+  },
+  findLongestMatchStartingWith(startWordIndex) {
+    return preferLongerMatch(
+      findLongestMatchStartingWith(currentWords, startWordIndex, lookupPhrase, maxPhraseWords),
+      withinPhraseLimit(findRuleMatchStartingWith(currentWords, startWordIndex, lookupPhrase))
+    );
+  },
+  findLongestMatchEndingWith(endWordIndex) {
+    return preferLongerMatch(
+      findLongestMatchEndingWith(currentWords, endWordIndex, lookupPhrase, maxPhraseWords),
+      withinPhraseLimit(findRuleMatchEndingWith(currentWords, endWordIndex, lookupPhrase))
+    );
+  },
+  findRunWithoutMatch(wordIndex, direction) {
+    const hasMatch = direction === 'right'
+      ? index => Boolean(methods.findLongestMatchStartingWith(index))
+      : index => Boolean(methods.findLongestMatchEndingWith(index));
+    return findRunWithoutMatch(currentWords, wordIndex, direction, hasMatch);
+  },
+  lookupPhrase(phrase) {
+    return lookupPhrase(phrase.normalize('NFC'));
+  },
+  segmentText() {
+    return segmentText(currentWords);
+  },
+  lookupSyllables(phrase) {
+    return lookupSyllables(phrase);
+  },
+  reverseLookup(query) {
+    return reverseLookup(query);
+  },
+  lookupCharacters(phrase) {
+    return lookupCharacters(phrase);
+  },
+};
+
+let pendingRequest = Promise.resolve();
+
+self.addEventListener('message', (event) => {
+  const { id, method, args } = event.data;
+  pendingRequest = pendingRequest.then(async () => {
+    try {
+      const result = await methods[method](...args);
+      self.postMessage({ id, result });
+    } catch (err) {
+      self.postMessage({ id, error: err.message });
+    }
+  });
+});
@@ -0,0 +1,228 @@
+// Word-formation rules for phrases that are not dictionary headwords:
+// reduplicatives ("xinh xinh", "đo đỏ", "lấp la lấp lánh") and a classifier
+// followed by a noun ("con mèo", "cái bàn"). The dictionary worker consults them
+// when they cover more words than the longest exact match.
+//
+// A rule match looks like a lookupPhrase result (see the worker), with the base
+// word's or noun's results as its results, plus:
+//   - morphology: For reduplicatives { type: 'reduplication', base, effect }, where
+//     effect is 'softened', 'intensified' or 'softened or intensified', and for
+//     classifiers { type: 'classifier', classifier, role, noun }
+
+import { findLongestMatchEndingWith, findLongestMatchStartingWith, phraseOf } from './reader.js';
+
+// Common classifiers and what they classify. Nominalizers turn verbs and
+// adjectives into nouns, so they may be followed by any word.
+export const CLASSIFIERS = new Map([
+  ['cái', { role: 'inanimate objects' }],
+  ['con', { role: 'animals and some objects (knives, roads, eyes)' }],
+  ['chiếc', { role: 'vehicles and single items' }],
+  ['quyển', { role: 'books' }],
+  ['cuốn', { role: 'books' }],
+  ['tờ', { role: 'sheets of paper, newspapers' }],
+  ['tấm', { role: 'flat objects (photos, boards)' }],
+  ['bức', { role: 'pictures, letters, walls' }],
+  ['lá', { role: 'leaves, letters, flags' }],
+  ['ngôi', { role: 'buildings, stars, graves' }],
+  ['căn', { role: 'houses, rooms' }],
+  ['toà', { role: 'large buildings' }],
+  ['tòa', { role: 'large buildings' }],
+  ['bài', { role: 'songs, poems, lessons' }],
+  ['cây', { role: 'trees and long objects' }],
+  ['quả', { role: 'fruits and round objects' }],
+  ['trái', { role: 'fruits and round objects' }],
+  ['bông', { role: 'flowers' }],
+  ['hạt', { role: 'seeds, grains' }],
+  ['viên', { role: 'pills, bullets, small round objects' }],
+  ['sợi', { role: 'threads, strands' }],
+  ['ngọn', { role: 'flames, lamps, mountains' }],
+  ['chuyến', { role: 'trips' }],
+  ['đôi', { role: 'pairs' }],
+  ['bộ', { role: 'sets, suits' }],
+  ['người', { role: 'people' }],
+  ['đứa', { role: 'children (familiar)' }],
+  ['vị', { role: 'respected persons' }],
+  ['sự', { role: 'abstract nouns (nominalizer)', nominalizer: true }],
+  ['việc', { role: 'tasks, matters (nominalizer)', nominalizer: true }],
+  ['cuộc', { role: 'events, activities (nominalizer)', nominalizer: true }],
+  ['nỗi', { role: 'feelings, usually sad (nominalizer)', nominalizer: true }],
+  ['niềm', { role: 'feelings, usually happy (nominalizer)', nominalizer: true }],
+]);
+
+// Tone marks in NFD: sắc, huyền, hỏi, ngã, nặng
+const TONE_MARKS_REGEX = /[\u0301\u0300\u0309\u0303\u0323]/g;
+// The marks of every tone but ngang and huyền
+const NON_LEVEL_TONE_MARKS_REGEX = /[\u0301\u0309\u0303\u0323]/;
+
+function removeTone(syllable) {
+  return syllable.normalize('NFD').replace(TONE_MARKS_REGEX, '').normalize('NFC');
+}
+
+/**
+ * Whether a syllable has the level (ngang) or falling (huyền) tone, which the
+ * first syllable of a softened reduplicative takes.
+ */
+function hasLevelTone(syllable) {
+  return !NON_LEVEL_TONE_MARKS_REGEX.test(syllable.normalize('NFD'));
+}
+
+/**
+ * Whether the first of two syllables is a softening reduplicant of the second,
+ * e.g. "đo đỏ", "nhè nhẹ" or, with the final stop becoming a nasal, "đèm đẹp"
+ * and "man mát". The base has a rising or broken tone and the reduplicant a
+ * level or falling one, which rules out pairs such as "ba bà".
+ */
+function isSoftenedReduplicant(reduplicant, base) {
+  if (reduplicant === base || hasLevelTone(base) || !hasLevelTone(reduplicant)) return false;
+
+  const baseWithoutTone = removeTone(base);
+  const nasalized = baseWithoutTone
+    .replace(/ch$/, 'nh')
+    .replace(/c$/, 'ng')
+    .replace(/p$/, 'm')
+    .replace(/t$/, 'n');
+  const reduplicantWithoutTone = removeTone(reduplicant);
+  return reduplicantWithoutTone === baseWithoutTone || reduplicantWithoutTone === nasalized;
+}
+
+/**
+ * Whether words[startWordIndex..endWordIndex] can form a phrase (see findWords
+ * in text.js).
+ */
+function canJoin(words, startWordIndex, endWordIndex) {
+  if (startWordIndex < 0 || endWordIndex >= words.length) return false;
+  for (let i = startWordIndex; i < endWordIndex; i++) {
+    if (!words[i].joinsNext) return false;
+  }
+  return true;
+}
+
+/**
+ * Recognizes words[startWordIndex..endWordIndex] as a reduplicative whose base
+ * word has an exact dictionary entry:
+ *   - "A A" (e.g. "xinh xinh"): softened or intensified A
+ *   - "a A" (e.g. "đo đỏ"): softened A
+ *   - "A x A y" or "A A y y" (e.g. "lấp la lấp lánh", "vui vui vẻ vẻ"): intensified "A y"
+ *
+ * @returns {Object|null} A rule match (see the top of this file), or null
+ */
+export function findReduplication(words, startWordIndex, endWordIndex, lookupPhrase) {
+  if (!canJoin(words, startWordIndex, endWordIndex)) return null;
+
+  const syllables = phraseOf(words, startWordIndex, endWordIndex).split(' ');
+  let base = null;
+  let effect = null;
+  if (syllables.length === 2 && syllables[0] === syllables[1]) {
+    base = syllables[1];
+    effect = 'softened or intensified';
+  } else if (syllables.length === 2 && isSoftenedReduplicant(syllables[0], syllables[1])) {
+    base = syllables[1];
+    effect = 'softened';
+  } else if (syllables.length === 4 && syllables[0] === syllables[2] && syllables[1] !== syllables[3]) {
+    base = syllables[2] + ' ' + syllables[3];
+    effect = 'intensified';
+  } else if (syllables.length === 4 && syllables[0] === syllables[1] && syllables[2] === syllables[3] &&
+    syllables[0] !== syllables[2]) {
+    base = syllables[1] + ' ' + syllables[2];
+    effect = 'intensified';
+  }
+  if (!base) return null;
+
+  const match = lookupPhrase(base);
+  if (!match || !match.results) return null;
+
+  return {
+    word: syllables.join(' '),
+    results: match.results,
+    candidates: null,
+    rank: null,
+    morphology: { type: 'reduplication', base, effect },
+    startWordIndex,
+    endWordIndex,
+  };
+}
+
+/**
+ * Whether a lookup looks like a noun: some sense of its definitions does not
+ * start with "to", which marks verbs in VNEDICT's style (e.g. "bàn" has "table"
+ * besides "to discuss", but "đi" only has "to go, walk").
+ */
+function looksLikeNoun(match) {
+  return match.results.some(result => result.entries.some(entry =>
+    entry.definition.split(/;|\(\d+\)/).some(sense => sense.trim() && !/^to\s/i.test(sense.trim()))
+  ));
+}
+
+/**
+ * Recognizes a classifier followed by a noun match, e.g. "con" + "mèo".
+ *
+ * @returns {Object|null} A rule match (see the top of this file), or null
+ */
+function findClassifierPhrase(words, classifierIndex, nounMatch) {
+  if (!nounMatch || !nounMatch.results || !canJoin(words, classifierIndex, classifierIndex + 1)) return null;
+
+  const classifier = words[classifierIndex].word.toLowerCase();
+  const info = CLASSIFIERS.get(classifier);
+  if (!info || (!info.nominalizer && !looksLikeNoun(nounMatch))) return null;
+
+  return {
+    word: classifier + ' ' + nounMatch.word,
+    results: nounMatch.results,
+    candidates: null,
+    rank: null,
+    morphology: { type: 'classifier', classifier, role: info.role, noun: nounMatch.word },
+    startWordIndex: classifierIndex,
+    endWordIndex: nounMatch.endWordIndex,
+  };
+}
+
+function longestRuleMatch(matches) {
+  return matches
+    .filter(match => match)
+    .reduce((longest, match) =>
+      !longest || match.endWordIndex - match.startWordIndex > longest.endWordIndex - longest.startWordIndex
+        ? match : longest, null);
+}
+
+/**
+ * Finds the longest rule match starting with the given word.
+ *
+ * @param {Array<Object>} words - Words of the text
+ * @param {number} startWordIndex - Index in words of the first word
+ * @param {Function} lookupPhrase - Looks up a lowercased phrase, returning null
+ *   if there is no entry
+ * @returns {Object|null} A rule match (see the top of this file), or null
+ */
+export function findRuleMatchStartingWith(words, startWordIndex, lookupPhrase) {
+  return longestRuleMatch([
+    findReduplication(words, startWordIndex, startWordIndex + 3, lookupPhrase),
+    findReduplication(words, startWordIndex, startWordIndex + 1, lookupPhrase),
+    startWordIndex + 1 < words.length &&
+      findClassifierPhrase(words, startWordIndex, findLongestMatchStartingWith(words, startWordIndex + 1, lookupPhrase)),
+  ]);
+}
+
+/**
+ * Finds the longest rule match ending with the given word. Same as
+ * findRuleMatchStartingWith in the other direction.
+ */
+export function findRuleMatchEndingWith(words, endWordIndex, lookupPhrase) {
+  const nounMatch = findLongestMatchEndingWith(words, endWordIndex, lookupPhrase);
+  return longestRuleMatch([
+    findReduplication(words, endWordIndex - 3, endWordIndex, lookupPhrase),
+    findReduplication(words, endWordIndex - 1, endWordIndex, lookupPhrase),
+    nounMatch && nounMatch.startWordIndex > 0 &&
+      findClassifierPhrase(words, nounMatch.startWordIndex - 1, nounMatch),
+  ]);
+}
+
+/**
+ * Returns the rule match if it covers more words than the exact match, since
+ * rules are only consulted when a longer phrase has no entry.
+ */
+export function preferLongerMatch(match, ruleMatch) {
+  if (!ruleMatch) return match;
+  if (!match) return ruleMatch;
+  return ruleMatch.endWordIndex - ruleMatch.startWordIndex > match.endWordIndex - match.startWordIndex
+    ? ruleMatch : match;
+}
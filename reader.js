@@ -0,0 +1,647 @@
+// Reader core: dictionary parsing, longest-match lookup and the selection state
+// machine, without any DOM or worker code so that it can be tested in Node.
+//
+// The reader's state is an explicit object (see createReaderState). Functions
+// that change the selection return a new state rather than modifying the old one.
+// Lookups go through a dictionary object with these methods, which may return
+// promises (app.js forwards them to the dictionary worker):
+//   - findLongestMatchStartingWith(wordIndex), findLongestMatchEndingWith(wordIndex):
+//     Longest matches by index in the state's words (see below)
+//   - findRunWithoutMatch(wordIndex, direction): The words without a match from
+//     the given word on (see findRunWithoutMatch below)
+//   - lookupPhrase(phrase): Lookup of a lowercased phrase, or null
+//
+// Names, foreign words, numbers and dates are recognized by recognize.js.
+
+import { classifyRun, findDate, findName, findNumber, splitRun, startsSentence } from './recognize.js';
+import { findWords, splitWords } from './text.js';
+
+// Longest phrase to look up, in words, unless the user has chosen another limit
+export const MAX_PHRASE_WORDS = 10;
+
+// ===== DICTIONARY PARSING =====
+/**
+ * Guesses whether user-supplied dictionary content is tab-separated rather than
+ * in "term : definition" format, by counting which separator more lines contain.
+ */
+export function detectSeparator(content) {
+  let tabLines = 0;
+  let colonLines = 0;
+  for (const line of content.split('\n')) {
+    if (line.includes('\t')) tabLines++;
+    if (line.includes(':')) colonLines++;
+  }
+  return tabLines > colonLines ? '\t' : ':';
+}
+
+/**
+ * Parses "term : definition" lines (or "term<TAB>definition" lines) into targetMap. Keys are lowercased terms and
+ * values are arrays of entries, so headwords that appear more than once (homographs,
+ * or proper nouns next to common words like "A Dong"/"a dong") keep every sense.
+ *
+ * Each entry is an object containing:
+ *   - headword: The term with its original casing
+ *   - definition: The definition text
+ */
+export function parseDictionary(content, targetMap, separator = ':') {
+  const lines = content.split('\n');
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const separatorIndex = trimmed.indexOf(separator);
+    if (separatorIndex === -1) continue;
+
+    const headword = trimmed.substring(0, separatorIndex).trim().normalize('NFC');
+    const definition = trimmed.substring(separatorIndex + 1).trim();
+    if (!headword || !definition) continue;
+
+    const term = headword.toLowerCase();
+
+    if (!targetMap.has(term)) {
+      targetMap.set(term, []);
+    }
+    const entries = targetMap.get(term);
+    if (!entries.some(entry => entry.headword === headword && entry.definition === definition)) {
+      entries.push({ headword, definition });
+    }
+  }
+}
+
+/**
+ * Expands a prebuilt index generated by build_index.py. Entries are stored either
+ * as a definition string (headword equals the term) or as [headword, definition].
+ */
+export function parseIndex(index, targetMap) {
+  for (const [term, entries] of Object.entries(index)) {
+    targetMap.set(term, entries.map(entry =>
+      typeof entry === 'string'
+        ? { headword: term, definition: entry }
+        : { headword: entry[0], definition: entry[1] }
+    ));
+  }
+}
+
+// ===== WORD FREQUENCY =====
+/**
+ * Finds a term's rank in a word-frequency list. A phrase that is not in the list
+ * (the bundled one has single syllables only) gets the rank of its rarest
+ * syllable, since it can't be more common than any of them.
+ *
+ * @param {Map} ranks - Rank (1 = most common) by lowercased term
+ * @param {string} term - A lowercased word or phrase
+ * @returns {number|null} The rank, or null if the term and one of its syllables
+ *   are not in the list
+ */
+export function frequencyRank(ranks, term) {
+  if (ranks.has(term)) return ranks.get(term);
+
+  const syllables = splitWords(term);
+  if (syllables.length < 2 || !syllables.every(syllable => ranks.has(syllable))) return null;
+  return Math.max(...syllables.map(syllable => ranks.get(syllable)));
+}
+
+// ===== LONGEST MATCH =====
+/**
+ * Finds the longest dictionary phrase starting with the given word, among the
+ * words that can form a phrase with it (see findWords in text.js).
+ *
+ * @param {Array<Object>} words - Words of the text
+ * @param {number} startWordIndex - Index in words of the first word
+ * @param {Function} lookupPhrase - Looks up a lowercased phrase, returning null
+ *   if there is no entry
+ * @param {number} maxWords - Longest phrase to look up, in words
+ * @returns {Object|null} The lookupPhrase result, plus:
+ *   - startWordIndex, endWordIndex: Indexes in words of the phrase's first and last word
+ */
+export function findLongestMatchStartingWith(words, startWordIndex, lookupPhrase, maxWords = MAX_PHRASE_WORDS) {
+  let lastWordIndex = startWordIndex;
+  while (lastWordIndex - startWordIndex + 1 < maxWords &&
+    lastWordIndex + 1 < words.length && words[lastWordIndex].joinsNext) {
+    lastWordIndex++;
+  }
+
+  // Try matches from longest to shortest
+  for (let endWordIndex = lastWordIndex; endWordIndex >= startWordIndex; endWordIndex--) {
+    const match = lookupPhrase(phraseOf(words, startWordIndex, endWordIndex));
+    if (match) {
+      return { ...match, startWordIndex, endWordIndex };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the longest dictionary phrase ending with the given word. Same as
+ * findLongestMatchStartingWith in the other direction.
+ */
+export function findLongestMatchEndingWith(words, endWordIndex, lookupPhrase, maxWords = MAX_PHRASE_WORDS) {
+  let firstWordIndex = endWordIndex;
+  while (endWordIndex - firstWordIndex + 1 < maxWords &&
+    firstWordIndex > 0 && words[firstWordIndex - 1].joinsNext) {
+    firstWordIndex--;
+  }
+
+  // Try matches from longest to shortest
+  for (let startWordIndex = firstWordIndex; startWordIndex <= endWordIndex; startWordIndex++) {
+    const match = lookupPhrase(phraseOf(words, startWordIndex, endWordIndex));
+    if (match) {
+      return { ...match, startWordIndex, endWordIndex };
+    }
+  }
+  return null;
+}
+
+/**
+ * Joins words[startWordIndex..endWordIndex] into a lowercased phrase with single
+ * spaces, the form dictionary terms are stored in.
+ */
+export function phraseOf(words, startWordIndex, endWordIndex) {
+  return words
+    .slice(startWordIndex, endWordIndex + 1)
+    .map(word => word.word.toLowerCase())
+    .join(' ');
+}
+
+// ===== READER STATE =====
+/**
+ * Finds the first item for which isAfter returns true, in an array where it
+ * returns false for every item before that one and true from it on, such as
+ * words or other character ranges in text order. Uses a binary search, so that
+ * long texts stay fast to navigate.
+ *
+ * @returns {number} Index of the item, or items.length if there is none
+ */
+export function binarySearch(items, isAfter) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (isAfter(items[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Creates the state of the reader for a text, with nothing selected.
+ *
+ * @returns {Object} Object containing:
+ *   - text: The text being read
+ *   - words: The words of the text (see findWords in text.js)
+ *   - wordIndex: Index in words of the current word, or null
+ *   - selection: The current selection, or null. A selection contains word,
+ *     results, candidates and rank (see lookupPhrase in the worker; results and
+ *     candidates are null for words without a definition), morphology for
+ *     matches found by the rules in morphology.js, recognized for names,
+ *     foreign words, numbers and dates (see recognize.js), and startIndex and
+ *     endIndex, the character range it covers
+ */
+export function createReaderState(text) {
+  return {
+    text,
+    words: findWords(text),
+    wordIndex: null,
+    selection: null,
+  };
+}
+
+export function clearSelection(state) {
+  return { ...state, wordIndex: null, selection: null };
+}
+
+/**
+ * Makes a selection from a match found by word index, which covers the text from
+ * its first word to its last.
+ */
+export function selectionFromMatch(state, match) {
+  return {
+    word: match.word,
+    results: match.results,
+    candidates: match.candidates,
+    rank: match.rank,
+    morphology: match.morphology || null,
+    startIndex: state.words[match.startWordIndex].startIndex,
+    endIndex: state.words[match.endWordIndex].endIndex,
+  };
+}
+
+/**
+ * Makes a selection for the words without a definition that start (or, going
+ * left, end) at the given word (see findRunWithoutMatch).
+ */
+async function selectionWithNoMatch(state, wordIndex, direction, dictionary) {
+  const piece = await dictionary.findRunWithoutMatch(wordIndex, direction);
+  const startIndex = state.words[piece.startWordIndex].startIndex;
+  const endIndex = state.words[piece.endWordIndex].endIndex;
+  return {
+    word: state.text.substring(startIndex, endIndex),
+    results: null,
+    candidates: null,
+    rank: null,
+    recognized: piece.recognized,
+    startIndex,
+    endIndex,
+  };
+}
+
+/**
+ * Finds a recognized phrase (see recognize.js) containing the given word: dates
+ * around it, and names and numbers starting with it ('right'), ending with it
+ * ('left') or around it ('around').
+ *
+ * @returns {Promise<Object|null>} Object containing recognized (the
+ *   description), startIndex and endIndex, or null
+ */
+export async function findRecognizedPhrase(state, wordIndex, direction, dictionary) {
+  const { text, words } = state;
+
+  const date = findDate(text, words, wordIndex);
+  if (date) {
+    const { day, month, year } = date;
+    return { recognized: { type: 'date', day, month, year }, startIndex: date.startIndex, endIndex: date.endIndex };
+  }
+
+  const number = findNumber(words, wordIndex, direction);
+  let name = !number && findName(text, words, wordIndex, direction);
+  // A name can't start with a sentence's first word that has an entry of its own
+  if (name && startsSentence(text, words, name.startWordIndex)) {
+    const firstWord = words[name.startWordIndex].word.toLowerCase();
+    if ((await dictionary.lookupPhrase(firstWord))?.results) {
+      name = findName(text, words, wordIndex, direction, word => word === firstWord);
+    }
+  }
+  const found = number || name;
+  if (!found) return null;
+
+  return {
+    // Capitalized foreign words ("Samsung Galaxy") are foreign words rather than names
+    recognized: number ? { type: 'number', value: number.value }
+      : classifyRun(words.slice(name.startWordIndex, name.endWordIndex + 1)),
+    startIndex: words[found.startWordIndex].startIndex,
+    endIndex: words[found.endWordIndex].endIndex,
+  };
+}
+
+/**
+ * Chooses between a dictionary match and a recognized phrase. The recognized
+ * phrase wins if it contains the match and is longer. A number or date that
+ * covers exactly the match is added to it, while names and foreign words defer
+ * to the entry.
+ *
+ * @returns {Object|null} A selection, or null if there is neither
+ */
+function selectMatchOrRecognized(state, match, phrase) {
+  const selection = match && selectionFromMatch(state, match);
+  if (!phrase) return selection;
+
+  if (selection && selection.startIndex === phrase.startIndex && selection.endIndex === phrase.endIndex) {
+    const defers = ['name', 'foreign'].includes(phrase.recognized.type);
+    return defers ? selection : { ...selection, recognized: phrase.recognized };
+  }
+  if (selection && (phrase.startIndex > selection.startIndex || phrase.endIndex < selection.endIndex)) {
+    return selection;
+  }
+  return {
+    word: state.text.substring(phrase.startIndex, phrase.endIndex),
+    results: null,
+    candidates: null,
+    rank: null,
+    recognized: phrase.recognized,
+    startIndex: phrase.startIndex,
+    endIndex: phrase.endIndex,
+  };
+}
+
+/**
+ * Selects the longest match starting (going right) or ending (going left) with
+ * the given word, or a longer recognized phrase.
+ */
+async function selectWord(state, wordIndex, direction, dictionary) {
+  if (!state.words[wordIndex]) return null;
+
+  const match = direction === 'right'
+    ? await dictionary.findLongestMatchStartingWith(wordIndex)
+    : await dictionary.findLongestMatchEndingWith(wordIndex);
+
+  const phrase = await findRecognizedPhrase(state, wordIndex, direction, dictionary);
+  return selectMatchOrRecognized(state, match, phrase) ||
+    selectionWithNoMatch(state, wordIndex, direction, dictionary);
+}
+
+/**
+ * Finds the words without a dictionary match that start (going right) or end
+ * (going left) at the given word. Names and foreign words in such a run are
+ * pieces of their own (see splitRun in recognize.js), so this is the run's first
+ * piece going right, or its last going left. Scanning stops as soon as the piece
+ * ends, so a long run is not looked up word by word.
+ *
+ * @param {Array<Object>} words - Words of the text (see findWords in text.js)
+ * @param {number} wordIndex - Index in words to start from
+ * @param {string} direction - Either 'right' (forward) or 'left' (backward)
+ * @param {Function} hasMatch - Whether a match starts (going right) or ends
+ *   (going left) with the word at an index
+ * @returns {Object} Object containing:
+ *   - startWordIndex, endWordIndex: Indexes in words of the piece
+ *   - recognized: The name or foreign words it is (see classifyRun), or null
+ */
+export function findRunWithoutMatch(words, wordIndex, direction, hasMatch) {
+  const step = direction === 'left' ? -1 : 1;
+  let runStart, pieces;
+  // Once the run has two pieces, words further on only change the second
+  for (let i = wordIndex; ; i += step) {
+    runStart = Math.min(wordIndex, i);
+    pieces = splitRun(words.slice(runStart, Math.max(wordIndex, i) + 1));
+    if (pieces.length > 1 || !words[i + step] || hasMatch(i + step)) break;
+  }
+
+  const piece = step > 0 ? pieces[0] : pieces[pieces.length - 1];
+  return {
+    startWordIndex: runStart + piece.startWordIndex,
+    endWordIndex: runStart + piece.endWordIndex,
+    recognized: piece.recognized,
+  };
+}
+
+/**
+ * Moves the selection one step left or right. Single words move by one word, and
+ * multi-word selections jump over the whole phrase. Navigating right selects the
+ * longest match starting with the new word and navigating left the longest match
+ * ending with it. With nothing selected, the first word is selected.
+ *
+ * @param {Object} state - The reader state
+ * @param {string} direction - Either 'right' or 'left'
+ * @param {Object} dictionary - Lookups (see the top of this file)
+ * @returns {Promise<Object>} The new state
+ */
+export async function navigate(state, direction, dictionary) {
+  const { words, selection } = state;
+  if (words.length === 0) return state;
+
+  let wordIndex = state.wordIndex;
+  if (wordIndex === null) {
+    wordIndex = 0;
+  } else if (!selection || selection.word.split(/\s+/).length === 1) {
+    // Single word or no selection - use simple increment
+    if (direction === 'right') {
+      wordIndex = Math.min(wordIndex + 1, words.length - 1);
+    } else if (direction === 'left') {
+      wordIndex = Math.max(wordIndex - 1, 0);
+    }
+  } else if (direction === 'right') {
+    // Multi-word selection - skip to the first word that starts after it ends
+    const nextIndex = binarySearch(words, word => word.startIndex >= selection.endIndex);
+    if (nextIndex < words.length) {
+      wordIndex = nextIndex;
+    }
+  } else if (direction === 'left') {
+    // Multi-word selection - skip to the last word that ends before it starts
+    const previousIndex = binarySearch(words, word => word.endIndex > selection.startIndex) - 1;
+    if (previousIndex >= 0) {
+      wordIndex = previousIndex;
+    }
+  }
+
+  const newSelection = await selectWord(state, wordIndex, direction, dictionary);
+
+  // Align the current word to the start of the matched phrase
+  if (newSelection) {
+    const matchingIndex = binarySearch(words, word => word.startIndex >= newSelection.startIndex);
+    if (matchingIndex < words.length && words[matchingIndex].startIndex === newSelection.startIndex) {
+      wordIndex = matchingIndex;
+    }
+  }
+
+  return { ...state, wordIndex, selection: newSelection };
+}
+
+/**
+ * Moves to the first word of the next ('right') or previous ('left') sentence
+ * (see findSentenceAt) and selects the longest match starting with it. With
+ * nothing selected, the first word is selected.
+ *
+ * @returns {Promise<Object>} The new state
+ */
+export async function navigateSentence(state, direction, dictionary) {
+  const { text, words } = state;
+  if (words.length === 0) return state;
+
+  let wordIndex = 0;
+  if (state.wordIndex !== null) {
+    const word = words[state.wordIndex];
+    const sentence = findSentenceAt(text, word.startIndex, word.endIndex);
+    if (direction === 'right') {
+      wordIndex = binarySearch(words, position => position.startIndex >= sentence.endIndex);
+      if (wordIndex === words.length) wordIndex = state.wordIndex;
+    } else {
+      // The first word of the sentence before, or of this one if it is the first
+      const previousIndex = binarySearch(words, position => position.endIndex > sentence.startIndex) - 1;
+      const target = words[Math.max(previousIndex, 0)];
+      const targetSentence = previousIndex >= 0
+        ? findSentenceAt(text, target.startIndex, target.endIndex)
+        : sentence;
+      wordIndex = binarySearch(words, position => position.startIndex >= targetSentence.startIndex);
+    }
+  }
+
+  const selection = await selectWord(state, wordIndex, 'right', dictionary);
+  return { ...state, wordIndex, selection };
+}
+
+/**
+ * Grows ('right') or shrinks ('left') the selection by one word at its end, and
+ * looks up the words in it as one phrase. With nothing selected, the first word
+ * is selected.
+ *
+ * @returns {Promise<Object>} The new state
+ */
+export async function resizeSelection(state, direction, dictionary) {
+  const { words, selection } = state;
+  if (words.length === 0) return state;
+
+  if (state.wordIndex === null) {
+    return { ...state, wordIndex: 0, selection: await selectWord(state, 0, 'right', dictionary) };
+  }
+  if (!selection) return state;
+
+  let newEndIndex = selection.endIndex;
+  if (direction === 'right') {
+    // Increase by 1 word
+    const nextWord = words[binarySearch(words, word => word.startIndex >= selection.endIndex)];
+    if (nextWord) {
+      newEndIndex = nextWord.endIndex;
+    }
+  } else if (direction === 'left') {
+    // Decrease by 1 word
+    const firstIndex = binarySearch(words, word => word.startIndex >= selection.startIndex);
+    const lastIndex = binarySearch(words, word => word.endIndex > selection.endIndex) - 1;
+    if (lastIndex > firstIndex) {
+      newEndIndex = words[lastIndex - 1].endIndex;
+    }
+  }
+
+  return selectRange(state, selection.startIndex, newEndIndex, dictionary);
+}
+
+/**
+ * Selects an exact character range and looks up the words in it as one phrase.
+ *
+ * @returns {Promise<Object>} The new state
+ */
+export async function selectRange(state, startIndex, endIndex, dictionary) {
+  const selectedText = state.text.substring(startIndex, endIndex);
+  const phrase = splitWords(selectedText).join(' ').toLowerCase();
+  const match = await dictionary.lookupPhrase(phrase);
+
+  const selection = {
+    word: phrase,
+    results: match ? match.results : null,
+    candidates: match ? match.candidates : null,
+    rank: match ? match.rank : null,
+    startIndex: startIndex,
+    endIndex: endIndex,
+  };
+  return { ...state, selection };
+}
+
+/**
+ * Grows or shrinks the selection to end at the word at a character position, or
+ * to start at it if the word comes before the selection, and looks up the words
+ * in it as one phrase. With nothing selected, the word is selected as if clicked
+ * (see selectWordAt for preference). A position outside any word leaves the
+ * state as it is.
+ *
+ * @returns {Promise<Object>} The new state
+ */
+export async function extendSelectionTo(state, charIndex, dictionary, preference = 'longer') {
+  const { words, selection } = state;
+  if (!selection) return selectWordAt(state, charIndex, dictionary, preference);
+
+  const word = words[binarySearch(words, position => position.endIndex >= charIndex)];
+  if (!word || word.startIndex > charIndex) return state;
+
+  const startIndex = Math.min(word.startIndex, selection.startIndex);
+  const endIndex = word.startIndex >= selection.startIndex ? word.endIndex : selection.endIndex;
+  const wordIndex = binarySearch(words, position => position.startIndex >= startIndex);
+  return selectRange({ ...state, wordIndex }, startIndex, endIndex, dictionary);
+}
+
+/**
+ * Selects the word at a character position, as when it is clicked: the longer of
+ * the longest matches starting and ending with it, or the more common one if they
+ * are the same length, or a longer recognized phrase containing it (see
+ * findRecognizedPhrase). A position just past the end of a word still selects it,
+ * and a position outside any word clears the selection.
+ *
+ * @param {string} preference - 'longer' to choose between the matches as above,
+ *   or 'starting' or 'ending' to prefer the match in that direction when there is one
+ * @returns {Promise<Object>} The new state
+ */
+export async function selectWordAt(state, charIndex, dictionary, preference = 'longer') {
+  const clickedWordIndex = binarySearch(state.words, word => word.endIndex >= charIndex);
+  const clickedWord = state.words[clickedWordIndex];
+  if (!clickedWord || clickedWord.startIndex > charIndex) {
+    return clearSelection(state);
+  }
+
+  // Try both directions and pick the longest match
+  const [matchStarting, matchEnding] = await Promise.all([
+    dictionary.findLongestMatchStartingWith(clickedWordIndex),
+    dictionary.findLongestMatchEndingWith(clickedWordIndex),
+  ]);
+
+  let match = null;
+  if (preference === 'starting') {
+    match = matchStarting || matchEnding;
+  } else if (preference === 'ending') {
+    match = matchEnding || matchStarting;
+  } else if (matchStarting && matchEnding) {
+    // Pick whichever match is longer (more words), then whichever is more common
+    const startingWordCount = matchStarting.endWordIndex - matchStarting.startWordIndex + 1;
+    const endingWordCount = matchEnding.endWordIndex - matchEnding.startWordIndex + 1;
+    if (endingWordCount !== startingWordCount) {
+      match = endingWordCount > startingWordCount ? matchEnding : matchStarting;
+    } else {
+      match = (matchEnding.rank || Infinity) < (matchStarting.rank || Infinity) ? matchEnding : matchStarting;
+    }
+  } else {
+    match = matchStarting || matchEnding;
+  }
+
+  const phrase = await findRecognizedPhrase(state, clickedWordIndex, 'around', dictionary);
+  const selection = selectMatchOrRecognized(state, match, phrase);
+  if (selection) {
+    const wordIndex = binarySearch(state.words, word => word.startIndex >= selection.startIndex);
+    return { ...state, wordIndex, selection };
+  }
+  return {
+    ...state,
+    wordIndex: clickedWordIndex,
+    selection: await selectionWithNoMatch(state, clickedWordIndex, 'right', dictionary),
+  };
+}
+
+// ===== SENTENCES =====
+/**
+ * Finds the sentence containing the given character range. Sentences end at
+ * sentence punctuation (. ! ? …) or a line break.
+ *
+ * @returns {Object} Object containing:
+ *   - text: The sentence, without surrounding whitespace
+ *   - startIndex: Character position where the sentence starts
+ *   - endIndex: Character position where the sentence ends
+ */
+export function findSentenceAt(text, startIndex, endIndex) {
+  const isBoundary = char => /[.!?…\n]/.test(char);
+
+  let sentenceStart = startIndex;
+  while (sentenceStart > 0 && !isBoundary(text[sentenceStart - 1])) {
+    sentenceStart--;
+  }
+
+  let sentenceEnd = endIndex;
+  while (sentenceEnd < text.length && !isBoundary(text[sentenceEnd])) {
+    sentenceEnd++;
+  }
+  // Include the closing punctuation, e.g. "?!" or "..."
+  while (sentenceEnd < text.length && /[.!?…]/.test(text[sentenceEnd])) {
+    sentenceEnd++;
+  }
+
+  // Skip surrounding whitespace
+  while (sentenceStart < sentenceEnd && /\s/.test(text[sentenceStart])) {
+    sentenceStart++;
+  }
+  while (sentenceEnd > sentenceStart && /\s/.test(text[sentenceEnd - 1])) {
+    sentenceEnd--;
+  }
+
+  return {
+    text: text.substring(sentenceStart, sentenceEnd),
+    startIndex: sentenceStart,
+    endIndex: sentenceEnd,
+  };
+}
+
+/**
+ * Splits the whole text into sentences, as defined by findSentenceAt().
+ */
+export function findSentences(text) {
+  const sentences = [];
+  let index = 0;
+
+  while (index < text.length) {
+    if (/[\s.!?…]/.test(text[index])) {
+      index++;
+      continue;
+    }
+    const sentence = findSentenceAt(text, index, index);
+    sentences.push(sentence);
+    index = Math.max(sentence.endIndex, index + 1);
+  }
+
+  return sentences;
+}
@@ -0,0 +1,308 @@
+// Recognizes phrases that the dictionaries do not explain: capitalized names,
+// foreign (non-Vietnamese) words, numbers written out in words ("hai mươi lăm"
+// is 25) and dates ("ngày 2 tháng 9 năm 1945"). Used by reader.js, which shows
+// what a phrase is instead of "no definition".
+//
+// Recognized phrases are described by objects containing:
+//   - type: 'name', 'foreign', 'number' or 'date'
+//   - value: For numbers, the number
+//   - day, month, year: For dates, each of them or null
+//   - capitalized: For foreign words, whether they are capitalized (e.g. brands)
+
+// ===== NAMES AND FOREIGN WORDS =====
+// Vietnamese syllables: an optional initial consonant, one to three vowels and an
+// optional final consonant
+const VIETNAMESE_SYLLABLE_REGEX = new RegExp(
+  '^(?:ngh|ng|nh|ch|gh|gi|kh|ph|qu|th|tr|[bcdđghklmnprstvx])?' +
+  '[aàáảãạăằắẳẵặâầấẩẫậeèéẻẽẹêềếểễệiìíỉĩịoòóỏõọôồốổỗộơờớởỡợuùúủũụưừứửữựyỳýỷỹỵ]{1,3}' +
+  '(?:ch|ng|nh|[cmnpt])?$'
+);
+
+/**
+ * Whether a word is spelled like a Vietnamese syllable, unlike "iPhone" or "email".
+ */
+export function isVietnameseSyllable(word) {
+  return VIETNAMESE_SYLLABLE_REGEX.test(word.toLowerCase());
+}
+
+/**
+ * Whether a word starts with a capital letter, without being in all capitals
+ * like the words of a heading.
+ */
+export function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word) && word !== word.toUpperCase();
+}
+
+/**
+ * Classifies a piece of a run of words that have no dictionary entry (see
+ * splitRun).
+ *
+ * @param {Array<Object>} words - The words of the piece (see findWords in text.js)
+ * @returns {Object|null} A description (see the top of this file) of a name or
+ *   foreign word, or null if the piece looks like unknown Vietnamese
+ */
+export function classifyRun(words) {
+  if (words.length === 0) return null;
+
+  const foreign = words.some(word => !isVietnameseSyllable(word.word));
+  if (words.every(word => isCapitalized(word.word))) {
+    if (foreign) return { type: 'foreign', capitalized: true };
+    return words.length > 1 ? { type: 'name' } : null;
+  }
+  return words.every(word => !isVietnameseSyllable(word.word)) ? { type: 'foreign', capitalized: false } : null;
+}
+
+/**
+ * Splits a run of words that have no dictionary entry into names, foreign words
+ * and the unknown Vietnamese between them, so that "dùng iPhone, Samsung Galaxy"
+ * is "dùng", "iPhone" and "Samsung Galaxy". Capitalized words and foreign words
+ * each form a piece with the words next to them of the same kind that they can
+ * form a phrase with; a capitalized Vietnamese word on its own (e.g. the first
+ * word of a sentence) is unknown Vietnamese.
+ *
+ * @param {Array<Object>} words - The words of the run (see findWords in text.js)
+ * @returns {Array<Object>} Pieces in order, each an object containing
+ *   startWordIndex and endWordIndex (indexes in words) and recognized (see
+ *   classifyRun)
+ */
+export function splitRun(words) {
+  const kindOf = word => isCapitalized(word.word) ? 'capitalized'
+    : isVietnameseSyllable(word.word) ? 'vietnamese' : 'foreign';
+
+  const pieces = [];
+  for (let i = 0; i < words.length; i++) {
+    const piece = pieces[pieces.length - 1];
+    const kind = kindOf(words[i]);
+    if (piece && piece.kind === kind && (kind === 'vietnamese' || words[i - 1].joinsNext)) {
+      piece.endWordIndex = i;
+    } else {
+      pieces.push({ kind, startWordIndex: i, endWordIndex: i });
+    }
+  }
+
+  // Pieces that are not names or foreign words join the unknown Vietnamese
+  const merged = [];
+  for (const { startWordIndex, endWordIndex } of pieces) {
+    const recognized = classifyRun(words.slice(startWordIndex, endWordIndex + 1));
+    const previous = merged[merged.length - 1];
+    if (!recognized && previous && !previous.recognized) {
+      previous.endWordIndex = endWordIndex;
+    } else {
+      merged.push({ startWordIndex, endWordIndex, recognized });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Whether a word is the first word of its sentence (see findSentenceAt in
+ * reader.js), and so capitalized whether or not it is part of a name.
+ */
+export function startsSentence(text, words, wordIndex) {
+  if (wordIndex === 0) return true;
+  return /[.!?…\n]/.test(text.substring(words[wordIndex - 1].endIndex, words[wordIndex].startIndex));
+}
+
+/**
+ * Finds a name: two or more capitalized words that can form a phrase, e.g.
+ * "Nguyễn Văn An". The first word of a sentence only starts a name if it has no
+ * entry of its own, so "Theo Nguyễn Du" is "Theo" and the name "Nguyễn Du".
+ *
+ * @param {string} text - The text
+ * @param {Array<Object>} words - Words of the text
+ * @param {number} wordIndex - Index in words of a word of the name
+ * @param {string} direction - 'right' for names starting with the word, 'left'
+ *   for names ending with it, or 'around' for names containing it
+ * @param {Function} hasEntry - Whether a lowercased word has a dictionary entry;
+ *   only asked about the first word of a sentence
+ * @returns {Object|null} Object containing startWordIndex and endWordIndex, or null
+ */
+export function findName(text, words, wordIndex, direction, hasEntry = () => false) {
+  if (!isCapitalized(words[wordIndex].word)) return null;
+
+  let startWordIndex = wordIndex;
+  let endWordIndex = wordIndex;
+  if (direction !== 'right') {
+    while (startWordIndex > 0 && words[startWordIndex - 1].joinsNext &&
+      isCapitalized(words[startWordIndex - 1].word)) {
+      startWordIndex--;
+    }
+  }
+  if (direction !== 'left') {
+    while (endWordIndex + 1 < words.length && words[endWordIndex].joinsNext &&
+      isCapitalized(words[endWordIndex + 1].word)) {
+      endWordIndex++;
+    }
+  }
+
+  if (startsSentence(text, words, startWordIndex) && hasEntry(words[startWordIndex].word.toLowerCase())) {
+    if (startWordIndex === wordIndex) return null;
+    startWordIndex++;
+  }
+  return endWordIndex > startWordIndex ? { startWordIndex, endWordIndex } : null;
+}
+
+// ===== NUMBERS =====
+const DIGITS = new Map([
+  ['không', 0], ['một', 1], ['hai', 2], ['ba', 3], ['bốn', 4], ['năm', 5],
+  ['sáu', 6], ['bảy', 7], ['bẩy', 7], ['tám', 8], ['chín', 9],
+]);
+// Forms the last digit takes after mươi or mười ("hai mươi mốt" is 21), besides
+// the usual ones except năm ("hai mươi năm" is twenty years)
+const LAST_DIGITS = new Map([['mốt', 1], ['tư', 4], ['lăm', 5], ['nhăm', 5]]);
+const SCALES = new Map([['nghìn', 1e3], ['ngàn', 1e3], ['triệu', 1e6], ['tỷ', 1e9], ['tỉ', 1e9]]);
+// Longest number to look for, in words
+const MAX_NUMBER_WORDS = 20;
+
+/**
+ * Reads the number that the syllables start with, e.g. ["hai", "mươi", "lăm",
+ * "tuổi"] starts with 25 and ["một", "nghìn", "không", "trăm", "linh", "năm"]
+ * is 1005. Digits that would make the number ambiguous end it, so "ba năm"
+ * (three years) is just 3.
+ *
+ * @param {Array<string>} syllables - Lowercased syllables
+ * @returns {Object|null} Object containing value and length, the number of
+ *   syllables it takes up, or null if the syllables do not start with a number
+ */
+export function parseNumberWords(syllables) {
+  let best = null;
+  let total = 0;
+  let group = 0;
+  let lastDigit = 0;
+  let lastScale = Infinity;
+  // What the previous syllable was: null, 'digit', 'hundred', 'link', 'ten',
+  // 'last' (the last digit) or 'scale'
+  let previous = null;
+
+  for (let i = 0; i < syllables.length; i++) {
+    const syllable = syllables[i];
+    const next = syllables[i + 1];
+
+    if (DIGITS.has(syllable) && (previous === null || previous === 'scale' || previous === 'hundred')) {
+      // A digit after a scale or hundred must be followed by what it counts
+      const counted = previous === 'hundred' ? ['mươi'] : previous === 'scale' ? ['trăm', 'mươi'] : null;
+      if ((counted && !counted.includes(next)) || (syllable === 'không' && next !== 'trăm')) break;
+      lastDigit = DIGITS.get(syllable);
+      group += lastDigit;
+      previous = 'digit';
+    } else if (syllable === 'trăm' && previous === 'digit' && group === lastDigit) {
+      group *= 100;
+      previous = 'hundred';
+    } else if ((syllable === 'linh' || syllable === 'lẻ') && previous === 'hundred') {
+      previous = 'link';
+    } else if (DIGITS.has(syllable) && syllable !== 'không' && previous === 'link') {
+      group += DIGITS.get(syllable);
+      previous = 'last';
+    } else if (syllable === 'mươi' && previous === 'digit' && lastDigit >= 2) {
+      group += lastDigit * 9;
+      previous = 'ten';
+    } else if (syllable === 'mười' && (previous === null || previous === 'scale' || previous === 'hundred')) {
+      group += 10;
+      previous = 'ten';
+    } else if (previous === 'ten' && (LAST_DIGITS.has(syllable) ||
+      (DIGITS.has(syllable) && !['không', 'năm'].includes(syllable)))) {
+      group += LAST_DIGITS.has(syllable) ? LAST_DIGITS.get(syllable) : DIGITS.get(syllable);
+      previous = 'last';
+    } else if (SCALES.has(syllable) && SCALES.get(syllable) < lastScale &&
+      ['digit', 'hundred', 'ten', 'last'].includes(previous)) {
+      lastScale = SCALES.get(syllable);
+      total += group * lastScale;
+      group = 0;
+      previous = 'scale';
+    } else {
+      break;
+    }
+
+    if (previous !== 'link') {
+      best = { value: total + group, length: i + 1 };
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds a number written out in two or more words, e.g. "hai mươi lăm".
+ *
+ * @param {Array<Object>} words - Words of the text
+ * @param {number} wordIndex - Index in words of a word of the number
+ * @param {string} direction - 'right' for numbers starting with the word, 'left'
+ *   for numbers ending with it, or 'around' for numbers containing it
+ * @returns {Object|null} Object containing startWordIndex, endWordIndex and
+ *   value, or null
+ */
+export function findNumber(words, wordIndex, direction) {
+  // The words that can form a phrase with the word
+  let first = wordIndex;
+  while (first > 0 && wordIndex - first < MAX_NUMBER_WORDS && words[first - 1].joinsNext) {
+    first--;
+  }
+  let last = wordIndex;
+  while (last + 1 < words.length && last - wordIndex < MAX_NUMBER_WORDS && words[last].joinsNext) {
+    last++;
+  }
+  const syllables = words.slice(first, last + 1).map(word => word.word.toLowerCase());
+
+  // Earlier starts first, so that the longest number is found
+  const starts = direction === 'right' ? [wordIndex] : Array.from({ length: wordIndex - first + 1 }, (_, i) => first + i);
+  for (const startWordIndex of starts) {
+    const end = direction === 'left' ? wordIndex + 1 - first : syllables.length;
+    const number = parseNumberWords(syllables.slice(startWordIndex - first, end));
+    if (!number || number.length < 2) continue;
+
+    const endWordIndex = startWordIndex + number.length - 1;
+    if (endWordIndex >= wordIndex && (direction !== 'left' || endWordIndex === wordIndex)) {
+      return { startWordIndex, endWordIndex, value: number.value };
+    }
+  }
+  return null;
+}
+
+// ===== DATES =====
+// Dates in digits, introduced by ngày/mùng/mồng (day), tháng (month) or năm
+// (year), e.g. "ngày 2 tháng 9 năm 1945", "mùng 1/6", "tháng 9, năm 1945" or
+// "năm 1945". Numbers with more digits than that are not dates ("năm 19450").
+const DATE_REGEX = new RegExp(
+  '(?:(?:ngày\\s+(?:mùng\\s+|mồng\\s+)?|mùng\\s+|mồng\\s+)(\\d{1,2})(?!\\d)' +
+  '(?:\\s*[/.-]\\s*|\\s+tháng\\s+)(\\d{1,2})(?!\\d)' +
+  '|tháng\\s+(\\d{1,2})(?!\\d))' +
+  '(?:(?:\\s*[/.-]\\s*|,?\\s+năm\\s+)(\\d{4})(?!\\d))?' +
+  '|năm\\s+(\\d{4})(?!\\d)',
+  'iuy'
+);
+const DATE_KEYWORDS = ['ngày', 'mùng', 'mồng', 'tháng', 'năm'];
+
+/**
+ * Finds a date containing a word.
+ *
+ * @param {string} text - The text
+ * @param {Array<Object>} words - Words of the text
+ * @param {number} wordIndex - Index in words of a word of the date
+ * @returns {Object|null} Object containing startIndex and endIndex (character
+ *   positions, since dates end with digits), startWordIndex, endWordIndex, and
+ *   day, month and year (numbers or null), or null
+ */
+export function findDate(text, words, wordIndex) {
+  // A date starts with one of at most three keywords
+  for (let startWordIndex = Math.max(wordIndex - 2, 0); startWordIndex <= wordIndex; startWordIndex++) {
+    if (!DATE_KEYWORDS.includes(words[startWordIndex].word.toLowerCase())) continue;
+
+    DATE_REGEX.lastIndex = words[startWordIndex].startIndex;
+    const match = DATE_REGEX.exec(text);
+    if (!match) continue;
+
+    const endIndex = match.index + match[0].length;
+    if (words[wordIndex].startIndex >= endIndex) continue;
+
+    const day = match[1] ? Number(match[1]) : null;
+    const month = Number(match[2] || match[3]) || null;
+    const year = Number(match[4] || match[5]) || null;
+    if ((day !== null && (day < 1 || day > 31)) || (month !== null && (month < 1 || month > 12))) continue;
+
+    let endWordIndex = wordIndex;
+    while (endWordIndex + 1 < words.length && words[endWordIndex + 1].startIndex < endIndex) {
+      endWordIndex++;
+    }
+    return { startIndex: match.index, endIndex, startWordIndex, endWordIndex, day, month, year };
+  }
+  return null;
+}
@@ -0,0 +1,50 @@
+// Reading parts of the text aloud through a speech engine, and following the
+// word being spoken. No DOM code, so that it can be tested in Node with a fake
+// engine; app.js creates the engine from the Web Speech API.
+//
+// A speech engine is an object with:
+//   - getVoices(): Array of { id, name, lang } for the available Vietnamese voices
+//   - speak(text, { voiceId, rate, onBoundary, onEnd }): Speaks the text, calling
+//     onBoundary(charIndex) as each word starts and onEnd() when done
+//   - cancel(): Stops speaking without calling onEnd
+//   - onVoicesChanged(callback): Optional, for voice lists that load late
+
+import { binarySearch } from './reader.js';
+
+/**
+ * Finds the word being spoken at a boundary reported while speaking a range of
+ * the text.
+ *
+ * @param {Array<Object>} words - Words of the text (see findWords in text.js)
+ * @param {Object} range - Object containing startIndex and endIndex, the part of
+ *   the text being spoken
+ * @param {number} charIndex - The boundary's position in the spoken range
+ * @returns {Object|null} The word, or null if the boundary is past the range's
+ *   last word
+ */
+export function wordAtBoundary(words, range, charIndex) {
+  const index = range.startIndex + charIndex;
+  // Boundaries may point at the space before a word
+  const word = words[binarySearch(words, position => position.endIndex > index)];
+  return word && word.startIndex < range.endIndex ? word : null;
+}
+
+/**
+ * Speaks a range of the text, reporting each word as it is spoken.
+ *
+ * @param {Object} engine - The speech engine (see the top of this file)
+ * @param {Object} state - The reader state (see createReaderState in reader.js)
+ * @param {Object} range - Object containing startIndex and endIndex
+ * @param {Object} options - Object containing:
+ *   - voiceId, rate: Passed to the engine
+ *   - onWord(word): Called with the word being spoken (see wordAtBoundary)
+ *   - onEnd(): Called when done
+ */
+export function readAloud(engine, state, range, { voiceId, rate, onWord, onEnd }) {
+  engine.speak(state.text.substring(range.startIndex, range.endIndex), {
+    voiceId,
+    rate,
+    onBoundary: charIndex => onWord(wordAtBoundary(state.words, range, charIndex)),
+    onEnd,
+  });
+}
@@ -0,0 +1,106 @@
+// Service worker: caches the app and its dictionaries for offline use.
+//
+// App files are fetched from the network first so that updates show up right
+// away, falling back to the cache when offline. Dictionaries are large and only
+// change when rebuilt, so they are served from a cache named after
+// DICTIONARY_VERSION, which build_index.py updates whenever a dictionary file
+// changes. Caches from other versions are deleted when a new worker activates.
+
+// Updated by build_index.py; do not edit by hand
+const DICTIONARY_VERSION = '6bc04b613662';
+
+const APP_CACHE = 'app-v1';
+const DICTIONARY_CACHE = 'dictionaries-' + DICTIONARY_VERSION;
+
+const APP_FILES = [
+  './',
+  'index.html',
+  'app.js',
+  'dictionary-worker.js',
+  'text.js',
+  'reader.js',
+  'morphology.js',
+  'recognize.js',
+  'speech.js',
+  'styles.css',
+  'manifest.webmanifest',
+  'icon.svg',
+];
+
+// Cached on install
+const DICTIONARY_FILES = [
+  'index/vnedict.json',
+  'index/zh.json',
+  'index/zh-chars.json',
+  'frequency.txt',
+];
+
+// Only fetched by the dictionary worker if an index is missing, cached when first
+// fetched
+const FALLBACK_DICTIONARY_FILES = [
+  'vnedict.txt',
+  'zh/dict.txt',
+  'zh/chars.txt',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const [appCache, dictionaryCache] = await Promise.all([
+      caches.open(APP_CACHE),
+      caches.open(DICTIONARY_CACHE),
+    ]);
+    await Promise.all([
+      appCache.addAll(APP_FILES),
+      dictionaryCache.addAll(DICTIONARY_FILES),
+    ]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [APP_CACHE, DICTIONARY_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  const path = url.pathname.substring(new URL(self.registration.scope).pathname.length);
+  if (DICTIONARY_FILES.includes(path) || FALLBACK_DICTIONARY_FILES.includes(path)) {
+    event.respondWith(cacheFirst(event.request, DICTIONARY_CACHE));
+  } else {
+    event.respondWith(networkFirst(event.request, APP_CACHE));
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
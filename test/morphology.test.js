@@ -0,0 +1,117 @@
+// Tests for morphology.js. Run with `node --test` from the repository root.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findReduplication, findRuleMatchEndingWith, findRuleMatchStartingWith, preferLongerMatch } from '../morphology.js';
+import { createReaderState, findLongestMatchStartingWith, parseDictionary } from '../reader.js';
+
+const DICTIONARY = `
+xinh : pretty, nice
+đỏ : red
+nhẹ : light, gentle, soft
+đẹp : beautiful, attractive
+mát : cool, fresh
+bà : grandmother
+ba : three
+lấp lánh : to sparkle, glimmer
+vui vẻ : happy, joyful
+con : (1) [CL for animals and other small objects]; (2) child
+mèo : cat
+cái : [CL for objects]
+bàn : (1) to discuss, debate; (2) table
+đi : to go, walk
+sự : [CL for actions]
+phát triển : to develop, expand
+con người : human being
+`;
+
+function createLookup(content = DICTIONARY) {
+  const map = new Map();
+  parseDictionary(content, map);
+  return phrase => map.has(phrase)
+    ? { word: phrase, results: [{ entries: map.get(phrase) }], candidates: null, rank: null }
+    : null;
+}
+
+function ruleStartingWith(text, wordIndex = 0) {
+  return findRuleMatchStartingWith(createReaderState(text).words, wordIndex, createLookup());
+}
+
+describe('reduplication', () => {
+  it('recognizes full reduplication of a word', () => {
+    const match = ruleStartingWith('xinh xinh');
+
+    assert.equal(match.word, 'xinh xinh');
+    assert.deepEqual(match.morphology, { type: 'reduplication', base: 'xinh', effect: 'softened or intensified' });
+    assert.equal(match.results[0].entries[0].definition, 'pretty, nice');
+    assert.deepEqual([match.startWordIndex, match.endWordIndex], [0, 1]);
+  });
+
+  it('recognizes softened reduplicatives with a level tone and a nasal final', () => {
+    assert.equal(ruleStartingWith('đo đỏ').morphology.base, 'đỏ');
+    assert.equal(ruleStartingWith('nhè nhẹ').morphology.effect, 'softened');
+    assert.equal(ruleStartingWith('đèm đẹp').morphology.base, 'đẹp');
+    assert.equal(ruleStartingWith('man mát').morphology.base, 'mát');
+  });
+
+  it('does not mistake unrelated words for reduplicatives', () => {
+    assert.equal(ruleStartingWith('ba bà'), null);
+    assert.equal(ruleStartingWith('xinh, xinh'), null);
+  });
+
+  it('recognizes four-syllable reduplicatives', () => {
+    const words = createReaderState('lấp la lấp lánh').words;
+    const match = findReduplication(words, 0, 3, createLookup());
+
+    assert.deepEqual(match.morphology, { type: 'reduplication', base: 'lấp lánh', effect: 'intensified' });
+    assert.equal(ruleStartingWith('vui vui vẻ vẻ').morphology.base, 'vui vẻ');
+  });
+
+  it('finds reduplicatives ending with a word', () => {
+    const words = createReaderState('rất xinh xinh').words;
+
+    assert.equal(findRuleMatchEndingWith(words, 2, createLookup()).word, 'xinh xinh');
+  });
+});
+
+describe('classifiers', () => {
+  it('recognizes a classifier followed by a noun', () => {
+    const match = ruleStartingWith('con mèo');
+
+    assert.equal(match.word, 'con mèo');
+    assert.equal(match.morphology.classifier, 'con');
+    assert.equal(match.morphology.noun, 'mèo');
+    assert.match(match.morphology.role, /animals/);
+    assert.equal(match.results[0].entries[0].definition, 'cat');
+  });
+
+  it('accepts nouns with verb senses but not verbs', () => {
+    assert.equal(ruleStartingWith('cái bàn').morphology.noun, 'bàn');
+    assert.equal(ruleStartingWith('con đi'), null);
+  });
+
+  it('lets nominalizers take verbs', () => {
+    assert.equal(ruleStartingWith('sự phát triển').morphology.noun, 'phát triển');
+  });
+
+  it('finds the classifier before a noun ending with a word', () => {
+    const words = createReaderState('Một con mèo.').words;
+    const match = findRuleMatchEndingWith(words, 2, createLookup());
+
+    assert.deepEqual([match.startWordIndex, match.endWordIndex], [1, 2]);
+  });
+});
+
+describe('preferLongerMatch', () => {
+  it('uses rules only when they cover more words than the exact match', () => {
+    const words = createReaderState('con người con mèo').words;
+    const lookup = createLookup();
+    const exact = index => findLongestMatchStartingWith(words, index, lookup);
+    const rule = index => findRuleMatchStartingWith(words, index, lookup);
+
+    assert.equal(preferLongerMatch(exact(0), rule(0)).word, 'con người');
+    assert.equal(preferLongerMatch(exact(2), rule(2)).word, 'con mèo');
+    assert.equal(preferLongerMatch(null, null), null);
+  });
+});
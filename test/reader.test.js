@@ -0,0 +1,525 @@
+// Tests for reader.js, covering the behavior described in the README.
+// Run with `node --test` from the repository root.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  binarySearch,
+  createReaderState,
+  detectSeparator,
+  extendSelectionTo,
+  findLongestMatchEndingWith,
+  findLongestMatchStartingWith,
+  findRunWithoutMatch,
+  findSentenceAt,
+  findSentences,
+  frequencyRank,
+  navigate,
+  navigateSentence,
+  parseDictionary,
+  parseIndex,
+  resizeSelection,
+  selectWordAt,
+} from '../reader.js';
+
+const DICTIONARY = `
+# A small excerpt in VNEDICT format
+người : man, person, people
+người ta : one, they, people
+ta : I, we
+tạo : to create
+tạo ra : to create, produce
+ra : to go out
+vận : transport, luck
+vận mệnh : destiny, fate
+mệnh : fate
+chứ : but
+không : no, not
+phải : must, right
+không phải : not
+con : child
+con người : human being
+Việt Nam : Vietnam
+việt : Viet
+nam : south
+`;
+
+/**
+ * Makes the dictionary object reader.js expects for a state's words, looking
+ * phrases up in the parsed test dictionary and ranking them with the given
+ * frequency ranks.
+ */
+function createDictionary(state, content = DICTIONARY, ranks = new Map()) {
+  const map = new Map();
+  parseDictionary(content, map);
+  const lookupPhrase = phrase => map.has(phrase)
+    ? { word: phrase, results: [{ entries: map.get(phrase) }], candidates: null, rank: frequencyRank(ranks, phrase) }
+    : null;
+
+  return {
+    findLongestMatchStartingWith: wordIndex => findLongestMatchStartingWith(state.words, wordIndex, lookupPhrase),
+    findLongestMatchEndingWith: wordIndex => findLongestMatchEndingWith(state.words, wordIndex, lookupPhrase),
+    findRunWithoutMatch: (wordIndex, direction) => findRunWithoutMatch(state.words, wordIndex, direction,
+      index => Boolean(direction === 'right'
+        ? findLongestMatchStartingWith(state.words, index, lookupPhrase)
+        : findLongestMatchEndingWith(state.words, index, lookupPhrase))),
+    lookupPhrase,
+  };
+}
+
+function selectedText(state) {
+  return state.text.substring(state.selection.startIndex, state.selection.endIndex);
+}
+
+/**
+ * Navigates repeatedly, returning the selected text after each step.
+ */
+async function navigateSteps(state, directions) {
+  const dictionary = createDictionary(state);
+  const selections = [];
+  for (const direction of directions) {
+    state = await navigate(state, direction, dictionary);
+    selections.push(selectedText(state));
+  }
+  return selections;
+}
+
+describe('parseDictionary', () => {
+  it('keys entries by lowercased term and keeps every headword', () => {
+    const map = new Map();
+    parseDictionary('Ba Lê : Paris\nba lê : ballet\nba lê : ballet\n# comment\nno separator', map);
+
+    assert.deepEqual([...map.keys()], ['ba lê']);
+    assert.deepEqual(map.get('ba lê'), [
+      { headword: 'Ba Lê', definition: 'Paris' },
+      { headword: 'ba lê', definition: 'ballet' },
+    ]);
+  });
+
+  it('normalizes headwords to NFC', () => {
+    const map = new Map();
+    parseDictionary('người'.normalize('NFD') + ' : person', map);
+
+    assert.ok(map.has('người'));
+  });
+
+  it('parses tab-separated dictionaries', () => {
+    const content = 'xin chào\thello: a greeting\nchào\tto greet';
+    const map = new Map();
+    parseDictionary(content, map, detectSeparator(content));
+
+    assert.equal(detectSeparator(content), '\t');
+    assert.equal(map.get('xin chào')[0].definition, 'hello: a greeting');
+  });
+
+  it('expands prebuilt indexes', () => {
+    const map = new Map();
+    parseIndex({ 'ba lê': [['Ba Lê', 'Paris'], 'ballet'] }, map);
+
+    assert.deepEqual(map.get('ba lê'), [
+      { headword: 'Ba Lê', definition: 'Paris' },
+      { headword: 'ba lê', definition: 'ballet' },
+    ]);
+  });
+});
+
+describe('longest match', () => {
+  it('finds the longest phrase starting or ending with a word', () => {
+    const state = createReaderState('Người ta tạo ra vận mệnh');
+    const dictionary = createDictionary(state);
+
+    assert.equal(dictionary.findLongestMatchStartingWith(0).word, 'người ta');
+    assert.equal(dictionary.findLongestMatchStartingWith(1).word, 'ta');
+    assert.equal(dictionary.findLongestMatchEndingWith(5).word, 'vận mệnh');
+    assert.deepEqual(
+      [dictionary.findLongestMatchEndingWith(3).startWordIndex, dictionary.findLongestMatchEndingWith(3).endWordIndex],
+      [2, 3]
+    );
+  });
+
+  it('matches phrases across spaces and a single line break, but not punctuation', () => {
+    const dictionary = text => createDictionary(createReaderState(text));
+
+    assert.equal(dictionary('Việt   Nam').findLongestMatchStartingWith(0).word, 'việt nam');
+    assert.equal(dictionary('Việt\nNam').findLongestMatchStartingWith(0).word, 'việt nam');
+    assert.equal(dictionary('Việt\n\nNam').findLongestMatchStartingWith(0).word, 'việt');
+    assert.equal(dictionary('Việt, Nam').findLongestMatchStartingWith(0).word, 'việt');
+  });
+
+  it('looks up phrases of at most 10 words', () => {
+    const words = 'a b c d e f g h i j k'.split(' ');
+    const state = createReaderState(words.join(' '));
+    const dictionary = createDictionary(state, words.join(' ') + ' : too long\n' + words.slice(0, 10).join(' ') + ' : long');
+
+    assert.equal(dictionary.findLongestMatchStartingWith(0).endWordIndex, 9);
+  });
+
+  it('takes another limit on the phrase length', () => {
+    const state = createReaderState('Người ta tạo ra vận mệnh');
+    const map = new Map();
+    parseDictionary(DICTIONARY, map);
+    const lookupPhrase = phrase => map.has(phrase) ? { word: phrase } : null;
+
+    assert.equal(findLongestMatchStartingWith(state.words, 0, lookupPhrase, 1).word, 'người');
+    assert.equal(findLongestMatchEndingWith(state.words, 5, lookupPhrase, 1).word, 'mệnh');
+  });
+});
+
+describe('binarySearch', () => {
+  it('finds the first word for which the condition holds', () => {
+    const { words } = createReaderState('Người ta tạo ra vận mệnh.');
+
+    assert.equal(binarySearch(words, word => word.endIndex >= 7), 1);
+    assert.equal(binarySearch(words, word => word.startIndex >= 0), 0);
+    assert.equal(binarySearch(words, word => word.startIndex >= 100), words.length);
+    assert.equal(binarySearch([], () => true), 0);
+  });
+});
+
+describe('navigation', () => {
+  it('selects the first word when nothing is selected', async () => {
+    const state = createReaderState('Người ta tạo ra vận mệnh.');
+
+    assert.deepEqual(await navigateSteps(state, ['right']), ['Người ta']);
+    assert.deepEqual(await navigateSteps(state, ['left']), ['Người']);
+  });
+
+  it('jumps over multi-word phrases to the right', async () => {
+    const state = createReaderState('Người ta tạo ra vận mệnh chứ không phải vận mệnh tạo ra con người.');
+
+    assert.deepEqual(await navigateSteps(state, ['right', 'right', 'right', 'right', 'right', 'right', 'right']), [
+      'Người ta', 'tạo ra', 'vận mệnh', 'chứ', 'không phải', 'vận mệnh', 'tạo ra',
+    ]);
+  });
+
+  it('jumps over multi-word phrases to the left, selecting phrases ending with the word', async () => {
+    const state = createReaderState('Người ta tạo ra vận mệnh chứ không phải vận mệnh.');
+    const steps = await navigateSteps(state, ['right', 'right', 'right', 'left', 'left', 'left']);
+
+    assert.deepEqual(steps, ['Người ta', 'tạo ra', 'vận mệnh', 'tạo ra', 'Người ta', 'Người']);
+  });
+
+  it('moves the current word to the start of the matched phrase', async () => {
+    let state = createReaderState('Người ta tạo ra vận mệnh.');
+    const dictionary = createDictionary(state);
+    state = await navigate(state, 'right', dictionary);
+    state = await navigate(state, 'right', dictionary);
+    state = await navigate(state, 'left', dictionary);
+
+    assert.equal(state.wordIndex, 0);
+    assert.equal(state.selection.word, 'người ta');
+  });
+
+  it('stays on the last phrase at the end of the text', async () => {
+    const state = createReaderState('ta con người');
+
+    assert.deepEqual(await navigateSteps(state, ['right', 'right', 'right']), ['ta', 'con người', 'con người']);
+  });
+
+  it('returns the state unchanged for a text without words', async () => {
+    const state = createReaderState('...');
+
+    assert.equal(await navigate(state, 'right', createDictionary(state)), state);
+  });
+});
+
+describe('resizing', () => {
+  it('grows and shrinks the selection by one word, looking it up as one phrase', async () => {
+    let state = createReaderState('Người ta tạo ra vận mệnh.');
+    const dictionary = createDictionary(state);
+    state = await navigate(state, 'right', dictionary);
+
+    state = await resizeSelection(state, 'right', dictionary);
+    assert.equal(selectedText(state), 'Người ta tạo');
+    assert.equal(state.selection.word, 'người ta tạo');
+    assert.equal(state.selection.results, null);
+
+    state = await resizeSelection(state, 'left', dictionary);
+    state = await resizeSelection(state, 'left', dictionary);
+    assert.equal(selectedText(state), 'Người');
+    assert.equal(state.selection.results[0].entries[0].definition, 'man, person, people');
+
+    state = await resizeSelection(state, 'left', dictionary);
+    assert.equal(selectedText(state), 'Người');
+  });
+
+  it('selects the first word when nothing is selected', async () => {
+    const state = createReaderState('Người ta tạo ra.');
+
+    const resized = await resizeSelection(state, 'right', createDictionary(state));
+    assert.equal(resized.wordIndex, 0);
+    assert.equal(selectedText(resized), 'Người ta');
+  });
+
+  it('extends the selection to a word before or after it', async () => {
+    const text = 'Người ta tạo ra vận mệnh.';
+    let state = createReaderState(text);
+    const dictionary = createDictionary(state);
+    state = await selectWordAt(state, text.indexOf('tạo'), dictionary);
+
+    state = await extendSelectionTo(state, text.indexOf('vận'), dictionary);
+    assert.equal(selectedText(state), 'tạo ra vận');
+    assert.equal(state.wordIndex, 2);
+
+    state = await extendSelectionTo(state, text.indexOf('ta'), dictionary);
+    assert.equal(selectedText(state), 'ta tạo ra vận');
+    assert.equal(state.wordIndex, 1);
+
+    state = await extendSelectionTo(state, text.indexOf('tạo'), dictionary);
+    assert.equal(selectedText(state), 'ta tạo');
+  });
+});
+
+describe('words without a definition', () => {
+  const text = 'Tôi tên là Nguyễn Văn An, người Việt Nam.';
+
+  it('selects the whole run of unknown words, with its punctuation', async () => {
+    const state = createReaderState('xuyên qua, lối ta');
+    const run = await createDictionary(state).findRunWithoutMatch(0, 'right');
+
+    assert.deepEqual(run, { startWordIndex: 0, endWordIndex: 2, recognized: null });
+  });
+
+  it('scans left from the last word of a run', async () => {
+    const state = createReaderState('ta xyz abc');
+    const run = await createDictionary(state).findRunWithoutMatch(2, 'left');
+
+    assert.deepEqual(run, { startWordIndex: 1, endWordIndex: 2, recognized: { type: 'foreign', capitalized: false } });
+  });
+
+  it('stops scanning a run where its first piece ends', () => {
+    const { words } = createReaderState('dùng iPhone, Samsung Galaxy hay Nokia');
+    const scanned = [];
+    const hasMatch = index => {
+      scanned.push(index);
+      return false;
+    };
+
+    assert.deepEqual(findRunWithoutMatch(words, 0, 'right', hasMatch),
+      { startWordIndex: 0, endWordIndex: 0, recognized: null });
+    assert.deepEqual(scanned, [1]);
+
+    scanned.length = 0;
+    assert.deepEqual(findRunWithoutMatch(words, 3, 'left', hasMatch),
+      { startWordIndex: 2, endWordIndex: 3, recognized: { type: 'foreign', capitalized: true } });
+    assert.deepEqual(scanned, [2, 1]);
+  });
+
+  it('jumps over runs without a definition while navigating', async () => {
+    const state = createReaderState(text);
+    const steps = await navigateSteps(state, ['right', 'right', 'right', 'right', 'left', 'left', 'left']);
+
+    // The name is selected on its own (see recognized phrases below)
+    assert.deepEqual(steps, [
+      'Tôi tên là', 'Nguyễn Văn An', 'người', 'Việt Nam', 'người', 'Nguyễn Văn An', 'Tôi tên là',
+    ]);
+  });
+
+  it('has no results', async () => {
+    const state = createReaderState(text);
+    const navigated = await navigate(state, 'right', createDictionary(state));
+
+    assert.equal(navigated.selection.results, null);
+    assert.equal(navigated.selection.candidates, null);
+  });
+});
+
+describe('recognized phrases', () => {
+  it('says what a run without a definition is', async () => {
+    const state = createReaderState('ta dùng iPhone, Samsung Galaxy ta');
+    const dictionary = createDictionary(state);
+
+    const steps = await navigateSteps(state, ['right', 'right', 'right', 'right', 'right', 'left', 'left', 'left']);
+    assert.deepEqual(steps, ['ta', 'dùng', 'iPhone', 'Samsung Galaxy', 'ta', 'Samsung Galaxy', 'iPhone', 'dùng']);
+
+    let navigated = state;
+    const recognized = [];
+    for (let i = 0; i < 4; i++) {
+      navigated = await navigate(navigated, 'right', dictionary);
+      recognized.push(navigated.selection.recognized || null);
+    }
+    assert.deepEqual(recognized.slice(1), [
+      null, { type: 'foreign', capitalized: false }, { type: 'foreign', capitalized: true },
+    ]);
+
+    const unknown = createReaderState('xuyên ta');
+    assert.equal((await navigate(unknown, 'right', createDictionary(unknown))).selection.recognized, null);
+  });
+
+  it('selects names longer than any entry, but prefers entries of the same length', async () => {
+    const state = createReaderState('người Nguyễn Văn An, người Việt Nam');
+    const steps = await navigateSteps(state, ['right', 'right', 'right', 'right']);
+
+    assert.deepEqual(steps, ['người', 'Nguyễn Văn An', 'người', 'Việt Nam']);
+  });
+
+  it('does not start names with a first word that has an entry', async () => {
+    const content = DICTIONARY + 'theo : to follow\nthì : then\nchào : hello\nlan : to spread\n' +
+      'năm : five, year\nhai : two\nnghìn : thousand\n';
+    const steps = async (text, directions) => {
+      let state = createReaderState(text);
+      const dictionary = createDictionary(state, content);
+      const selections = [];
+      for (const direction of directions) {
+        state = await navigate(state, direction, dictionary);
+        selections.push(selectedText(state));
+      }
+      return selections;
+    };
+    const clicked = async (text, word) => {
+      const state = createReaderState(text);
+      return selectedText(await selectWordAt(state, text.indexOf(word), createDictionary(state, content)));
+    };
+
+    assert.deepEqual(await steps('Theo Nguyễn Du thì', ['right', 'right', 'right', 'left', 'left']),
+      ['Theo', 'Nguyễn Du', 'thì', 'Nguyễn Du', 'Theo']);
+    assert.equal(await clicked('Theo Nguyễn Du thì', 'Theo'), 'Theo');
+    assert.equal(await clicked('Theo Nguyễn Du thì', 'Du'), 'Nguyễn Du');
+
+    assert.deepEqual(await steps('Chào Lan.', ['right', 'right', 'left']), ['Chào', 'Lan', 'Chào']);
+    assert.equal(await clicked('Chào Lan.', 'Chào'), 'Chào');
+
+    assert.deepEqual(await steps('Năm Hai nghìn', ['right', 'right', 'left']), ['Năm', 'Hai nghìn', 'Năm']);
+    assert.equal(await clicked('Năm Hai nghìn', 'Năm'), 'Năm');
+  });
+
+  it('converts numbers written out in words', async () => {
+    const text = 'con người hai mươi lăm';
+    const state = createReaderState(text);
+    const dictionary = createDictionary(state, DICTIONARY + 'hai : two\nmươi : ten\nlăm : five\n');
+
+    const clicked = await selectWordAt(state, text.indexOf('mươi'), dictionary);
+    assert.equal(selectedText(clicked), 'hai mươi lăm');
+    assert.deepEqual(clicked.selection.recognized, { type: 'number', value: 25 });
+    assert.equal(clicked.wordIndex, 2);
+
+    const navigated = await navigate(await navigate(state, 'right', dictionary), 'right', dictionary);
+    assert.equal(selectedText(navigated), 'hai mươi lăm');
+  });
+
+  it('selects dates with their digits', async () => {
+    const text = 'ta ngày 2 tháng 9 năm 1945 ta';
+    const state = createReaderState(text);
+    const dictionary = createDictionary(state, DICTIONARY + 'ngày : day\ntháng : month\nnăm : year\n');
+
+    const clicked = await selectWordAt(state, text.indexOf('tháng'), dictionary);
+    assert.equal(selectedText(clicked), 'ngày 2 tháng 9 năm 1945');
+    assert.deepEqual(clicked.selection.recognized, { type: 'date', day: 2, month: 9, year: 1945 });
+
+    const steps = await navigateSteps(state, ['right', 'right', 'right', 'left']);
+    assert.deepEqual(steps, ['ta', 'ngày 2 tháng 9 năm 1945', 'ta', 'ngày 2 tháng 9 năm 1945']);
+  });
+});
+
+describe('clicking', () => {
+  const text = 'Người ta tạo ra con người.';
+
+  it('selects the longer of the matches starting and ending with the word', async () => {
+    const state = createReaderState(text);
+    const dictionary = createDictionary(state);
+
+    const clickedTa = await selectWordAt(state, text.indexOf('ta'), dictionary);
+    assert.equal(selectedText(clickedTa), 'Người ta');
+    assert.equal(clickedTa.wordIndex, 0);
+
+    const clickedNguoi = await selectWordAt(state, text.lastIndexOf('người') + 2, dictionary);
+    assert.equal(selectedText(clickedNguoi), 'con người');
+    assert.equal(clickedNguoi.wordIndex, 4);
+  });
+
+  it('selects the word when clicking just past its end', async () => {
+    const state = createReaderState(text);
+
+    const clicked = await selectWordAt(state, text.indexOf('.'), createDictionary(state));
+    assert.equal(selectedText(clicked), 'con người');
+  });
+
+  it('prefers the more common match when both are the same length', async () => {
+    const state = createReaderState('tạo ra vận');
+    const dictionary = createDictionary(state);
+    const withRanks = {
+      ...dictionary,
+      findLongestMatchStartingWith: wordIndex => ({ ...dictionary.findLongestMatchStartingWith(wordIndex), rank: 500 }),
+      findLongestMatchEndingWith: wordIndex => ({ ...dictionary.findLongestMatchEndingWith(wordIndex), rank: 20 }),
+    };
+
+    const clicked = await selectWordAt(state, 'tạo ra vận'.indexOf('ra'), withRanks);
+    assert.equal(selectedText(clicked), 'tạo ra');
+  });
+
+  it('ranks phrases that are not in the frequency list by their rarest syllable', async () => {
+    const ranks = new Map([['người', 10], ['ta', 900], ['con', 50], ['vận', 3000]]);
+
+    assert.equal(frequencyRank(ranks, 'người'), 10);
+    assert.equal(frequencyRank(ranks, 'con người'), 50);
+    assert.equal(frequencyRank(new Map([...ranks, ['con người', 7]]), 'con người'), 7);
+    assert.equal(frequencyRank(ranks, 'vận mệnh'), null);
+    assert.equal(frequencyRank(ranks, 'mệnh'), null);
+
+    // Both matches are two words long: "người ta" starts with the clicked word and
+    // would be chosen without ranks, but "con người" is the more common one
+    const state = createReaderState('con người ta');
+    const charIndex = 'con người ta'.indexOf('người');
+    assert.equal(selectedText(await selectWordAt(state, charIndex, createDictionary(state))), 'người ta');
+    assert.equal(selectedText(await selectWordAt(state, charIndex, createDictionary(state, DICTIONARY, ranks))), 'con người');
+  });
+
+  it('prefers the match starting or ending with the word when asked to', async () => {
+    const state = createReaderState(text);
+    const dictionary = createDictionary(state);
+    const charIndex = text.indexOf('ta');
+
+    assert.equal(selectedText(await selectWordAt(state, charIndex, dictionary, 'starting')), 'ta');
+    assert.equal(selectedText(await selectWordAt(state, charIndex, dictionary, 'ending')), 'Người ta');
+    // Without a match in the preferred direction, the other one is used
+    const vanState = createReaderState('vận');
+    assert.equal(selectedText(await selectWordAt(vanState, 0, createDictionary(vanState), 'ending')), 'vận');
+  });
+
+  it('clears the selection when clicking outside a word', async () => {
+    let state = createReaderState('tạo ra  —  vận');
+    const dictionary = createDictionary(state);
+    state = await selectWordAt(state, 0, dictionary);
+
+    const cleared = await selectWordAt(state, 9, dictionary);
+    assert.equal(cleared.selection, null);
+    assert.equal(cleared.wordIndex, null);
+  });
+});
+
+describe('sentences', () => {
+  const text = 'Xin chào! Tôi là sinh viên...\nTôi học tiếng Việt';
+
+  it('finds the sentence containing a range, with its closing punctuation', () => {
+    assert.equal(findSentenceAt(text, 12, 14).text, 'Tôi là sinh viên...');
+    assert.equal(findSentenceAt(text, text.length, text.length).text, 'Tôi học tiếng Việt');
+  });
+
+  it('splits the text into sentences', () => {
+    assert.deepEqual(findSentences(text).map(sentence => sentence.text), [
+      'Xin chào!', 'Tôi là sinh viên...', 'Tôi học tiếng Việt',
+    ]);
+  });
+
+  it('moves to the first word of the next or previous sentence', async () => {
+    let state = createReaderState('ta ra. Người ta tạo ra! Vận mệnh');
+    const dictionary = createDictionary(state);
+    const steps = [];
+    for (const direction of ['right', 'right', 'right', 'right', 'left', 'left', 'left']) {
+      state = await navigateSentence(state, direction, dictionary);
+      steps.push(selectedText(state));
+    }
+
+    assert.deepEqual(steps, ['ta', 'Người ta', 'Vận mệnh', 'Vận mệnh', 'Người ta', 'ta', 'ta']);
+  });
+
+  it('moves to the previous sentence from anywhere in a sentence', async () => {
+    let state = createReaderState('ta ra. Người ta tạo ra!');
+    const dictionary = createDictionary(state);
+    state = await selectWordAt(state, state.text.indexOf('tạo'), dictionary);
+
+    state = await navigateSentence(state, 'left', dictionary);
+    assert.equal(selectedText(state), 'ta');
+  });
+});
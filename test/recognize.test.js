@@ -0,0 +1,152 @@
+// Tests for recognize.js. Run with `node --test` from the repository root.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  classifyRun,
+  findDate,
+  findName,
+  findNumber,
+  isVietnameseSyllable,
+  parseNumberWords,
+  splitRun,
+} from '../recognize.js';
+import { findWords } from '../text.js';
+
+function parse(phrase) {
+  return parseNumberWords(phrase.split(' '));
+}
+
+describe('names and foreign words', () => {
+  it('tells Vietnamese syllables from foreign words', () => {
+    for (const word of ['nghiêng', 'Nguyễn', 'khuya', 'quốc', 'đường', 'a']) {
+      assert.ok(isVietnameseSyllable(word), word);
+    }
+    for (const word of ['iPhone', 'email', 'taxi', 'Samsung', 'Obama', 'wifi']) {
+      assert.ok(!isVietnameseSyllable(word), word);
+    }
+  });
+
+  it('classifies pieces of runs without a definition', () => {
+    assert.deepEqual(classifyRun(findWords('Nguyễn Văn')), { type: 'name' });
+    assert.deepEqual(classifyRun(findWords('Samsung Galaxy')), { type: 'foreign', capitalized: true });
+    assert.deepEqual(classifyRun(findWords('email')), { type: 'foreign', capitalized: false });
+    assert.equal(classifyRun(findWords('dùng email')), null);
+    assert.equal(classifyRun(findWords('Nguyễn')), null);
+    assert.equal(classifyRun(findWords('xuyên')), null);
+    assert.equal(classifyRun(findWords('TIN TỨC')), null);
+  });
+
+  it('splits runs at names and foreign words', () => {
+    const pieces = words => splitRun(findWords(words)).map(piece => [piece.startWordIndex, piece.endWordIndex]);
+
+    assert.deepEqual(pieces('dùng iPhone, Samsung Galaxy'), [[0, 0], [1, 1], [2, 3]]);
+    assert.deepEqual(pieces('Tôi tên là Nguyễn Văn An'), [[0, 2], [3, 5]]);
+    assert.deepEqual(pieces('xuyên qua'), [[0, 1]]);
+    assert.deepEqual(splitRun(findWords('dùng iPhone'))[1].recognized, { type: 'foreign', capitalized: false });
+  });
+
+  it('finds capitalized words that form a phrase', () => {
+    const text = 'Anh gặp Nguyễn Văn An. Hà Nội';
+    const words = findWords(text);
+
+    assert.deepEqual(findName(text, words, 3, 'around'), { startWordIndex: 2, endWordIndex: 4 });
+    assert.deepEqual(findName(text, words, 3, 'right'), { startWordIndex: 3, endWordIndex: 4 });
+    assert.deepEqual(findName(text, words, 3, 'left'), { startWordIndex: 2, endWordIndex: 3 });
+    assert.equal(findName(text, words, 0, 'right'), null);
+    assert.deepEqual(findName(text, words, 5, 'right'), { startWordIndex: 5, endWordIndex: 6 });
+  });
+
+  it('does not start names with a first word that has an entry', () => {
+    const hasEntry = word => ['theo', 'chào', 'năm', 'hai', 'lan'].includes(word);
+
+    const theo = 'Theo Nguyễn Du thì';
+    assert.deepEqual(findName(theo, findWords(theo), 1, 'around', hasEntry), { startWordIndex: 1, endWordIndex: 2 });
+    assert.deepEqual(findName(theo, findWords(theo), 2, 'left', hasEntry), { startWordIndex: 1, endWordIndex: 2 });
+    assert.equal(findName(theo, findWords(theo), 0, 'right', hasEntry), null);
+
+    const chao = 'Chào Lan.';
+    assert.equal(findName(chao, findWords(chao), 0, 'right', hasEntry), null);
+    assert.equal(findName(chao, findWords(chao), 1, 'left', hasEntry), null);
+
+    const nam = 'Năm Hai nghìn';
+    assert.equal(findName(nam, findWords(nam), 0, 'around', hasEntry), null);
+    assert.equal(findName(nam, findWords(nam), 1, 'left', hasEntry), null);
+
+    // The first word of a sentence without an entry can start a name
+    const name = 'Nguyễn Du viết. Theo Nguyễn Du';
+    assert.deepEqual(findName(name, findWords(name), 0, 'right', hasEntry), { startWordIndex: 0, endWordIndex: 1 });
+    assert.deepEqual(findName(name, findWords(name), 5, 'left', hasEntry), { startWordIndex: 4, endWordIndex: 5 });
+  });
+});
+
+describe('numbers', () => {
+  it('reads numbers written out in words', () => {
+    assert.deepEqual(parse('hai mươi lăm'), { value: 25, length: 3 });
+    assert.equal(parse('mười hai').value, 12);
+    assert.equal(parse('mười lăm').value, 15);
+    assert.equal(parse('ba mươi mốt').value, 31);
+    assert.equal(parse('hai mươi tư').value, 24);
+    assert.equal(parse('một trăm linh năm').value, 105);
+    assert.equal(parse('hai trăm năm mươi').value, 250);
+    assert.equal(parse('một nghìn chín trăm bốn mươi lăm').value, 1945);
+    assert.equal(parse('một nghìn không trăm lẻ tám').value, 1008);
+    assert.equal(parse('ba triệu hai trăm nghìn').value, 3200000);
+  });
+
+  it('stops before words that would make the number ambiguous', () => {
+    assert.deepEqual(parse('ba năm'), { value: 3, length: 1 });
+    assert.deepEqual(parse('hai mươi năm'), { value: 20, length: 2 });
+    assert.deepEqual(parse('hai trăm năm'), { value: 200, length: 2 });
+    assert.deepEqual(parse('một trăm linh'), { value: 100, length: 2 });
+    assert.equal(parse('không'), null);
+    assert.equal(parse('mươi hai'), null);
+  });
+
+  it('finds numbers of two or more words', () => {
+    const words = findWords('tôi hai mươi lăm tuổi, ba người');
+
+    assert.deepEqual(findNumber(words, 2, 'around'), { startWordIndex: 1, endWordIndex: 3, value: 25 });
+    assert.deepEqual(findNumber(words, 1, 'right'), { startWordIndex: 1, endWordIndex: 3, value: 25 });
+    assert.deepEqual(findNumber(words, 2, 'left'), { startWordIndex: 1, endWordIndex: 2, value: 20 });
+    assert.equal(findNumber(words, 2, 'right'), null);
+    assert.equal(findNumber(words, 5, 'around'), null);
+  });
+});
+
+describe('dates', () => {
+  function date(text, word) {
+    const words = findWords(text);
+    const wordIndex = words.findIndex(({ word: w }) => w === word);
+    const found = findDate(text, words, wordIndex);
+    return found && { text: text.substring(found.startIndex, found.endIndex), ...found };
+  }
+
+  it('finds dates in digits around any of their words', () => {
+    const text = 'Vào ngày 2 tháng 9 năm 1945, Bác đọc';
+    for (const word of ['ngày', 'tháng', 'năm']) {
+      const found = date(text, word);
+      assert.equal(found.text, 'ngày 2 tháng 9 năm 1945');
+      assert.deepEqual([found.day, found.month, found.year], [2, 9, 1945]);
+      assert.deepEqual([found.startWordIndex, found.endWordIndex], [1, 3]);
+    }
+  });
+
+  it('reads the other ways of writing dates', () => {
+    assert.equal(date('mùng 1/6 vui', 'mùng').text, 'mùng 1/6');
+    assert.equal(date('ngày 30-4-1975', 'ngày').text, 'ngày 30-4-1975');
+    assert.deepEqual(date('Tháng 9, năm 1945', 'năm').year, 1945);
+    assert.deepEqual([date('năm 2020 ta', 'năm').month, date('năm 2020 ta', 'năm').year], [null, 2020]);
+  });
+
+  it('ignores impossible dates and keywords without a date', () => {
+    assert.equal(date('ngày 40 tháng 9', 'ngày'), null);
+    assert.equal(date('tháng 13', 'tháng'), null);
+    assert.equal(date('ngày mai', 'ngày'), null);
+    assert.equal(date('ba năm', 'năm'), null);
+    assert.equal(date('năm 19450', 'năm'), null);
+    assert.equal(date('tháng 123', 'tháng'), null);
+    assert.equal(date('ngày 2 tháng 9 năm 19450', 'ngày').text, 'ngày 2 tháng 9');
+  });
+});
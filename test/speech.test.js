@@ -0,0 +1,74 @@
+// Tests for speech.js, with a fake speech engine. Run with `node --test` from the
+// repository root.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createReaderState } from '../reader.js';
+import { readAloud, wordAtBoundary } from '../speech.js';
+
+/**
+ * Makes a speech engine that records what it is asked to speak, with methods to
+ * report boundaries and the end the way a real engine would.
+ */
+function createFakeEngine() {
+  const engine = {
+    spoken: [],
+    current: null,
+    getVoices: () => [{ id: 'vi', name: 'Vietnamese', lang: 'vi-VN' }],
+    speak(text, options) {
+      engine.spoken.push({ text, voiceId: options.voiceId, rate: options.rate });
+      engine.current = options;
+    },
+    cancel() {
+      engine.current = null;
+    },
+    boundary(charIndex) {
+      engine.current.onBoundary(charIndex);
+    },
+    end() {
+      const { onEnd } = engine.current;
+      engine.current = null;
+      onEnd();
+    },
+  };
+  return engine;
+}
+
+describe('speech', () => {
+  const text = 'Người ta tạo ra con người. Xin chào.';
+
+  it('finds the word at a boundary in the spoken range', () => {
+    const { words } = createReaderState(text);
+    const range = { startIndex: text.indexOf('tạo'), endIndex: text.indexOf('.') };
+
+    assert.equal(wordAtBoundary(words, range, 0).word, 'tạo');
+    assert.equal(wordAtBoundary(words, range, 'tạo ra'.length).word, 'con');
+    assert.equal(wordAtBoundary(words, range, 'tạo ra c'.length).word, 'con');
+    assert.equal(wordAtBoundary(words, range, 'tạo ra con người'.length), null);
+  });
+
+  it('reports each word as a fake engine speaks it', () => {
+    const state = createReaderState(text);
+    const engine = createFakeEngine();
+    const range = { startIndex: text.indexOf('con'), endIndex: text.indexOf('.') + 1 };
+    const spokenWords = [];
+    let ended = false;
+
+    readAloud(engine, state, range, {
+      voiceId: 'vi',
+      rate: 1.5,
+      onWord: word => spokenWords.push(word && word.word),
+      onEnd: () => { ended = true; },
+    });
+    assert.deepEqual(engine.spoken, [{ text: 'con người.', voiceId: 'vi', rate: 1.5 }]);
+
+    engine.boundary(0);
+    engine.boundary(3);
+    engine.boundary('con người'.length);
+    assert.deepEqual(spokenWords, ['con', 'người', null]);
+
+    engine.end();
+    assert.ok(ended);
+  });
+});
@@ -0,0 +1,90 @@
+// Text handling shared by the app (app.js), the reader core (reader.js) and the
+// dictionary worker.
+
+// ===== WORD CHARACTERS =====
+// Words are runs of Latin letters, which cover Vietnamese including Đ/đ, and
+// combining marks, so that tone marks that were not composed stay part of their
+// word. Symbols in the Latin-1 range such as × and ÷ are not word characters.
+export const WORD_CHARACTER_CLASS = '[\\p{Script=Latin}\\p{M}]';
+export const WORD_CHARACTER_REGEX = new RegExp(WORD_CHARACTER_CLASS, 'u');
+export const WORD_REGEX = new RegExp(WORD_CHARACTER_CLASS + '+', 'gu');
+// What may separate the words of a phrase: spaces, tabs and at most one line
+// break (e.g. a wrapped line in pasted text), but not a blank line or punctuation
+export const PHRASE_GAP_REGEX = /^[^\S\n]*\n?[^\S\n]*$/;
+
+export function isWordCharacter(char) {
+  return char !== undefined && WORD_CHARACTER_REGEX.test(char);
+}
+
+/**
+ * Splits text into its words, e.g. "Xin chào, Việt Nam!" into
+ * ["Xin", "chào", "Việt", "Nam"].
+ */
+export function splitWords(text) {
+  return text.match(WORD_REGEX) || [];
+}
+
+/**
+ * Finds the words of a text.
+ *
+ * @returns {Array<Object>} Words in text order, each containing:
+ *   - word: The word as it appears in the text
+ *   - startIndex: Character position where the word starts
+ *   - endIndex: Character position where the word ends
+ *   - joinsNext: Whether the word can form a phrase with the next word
+ */
+export function findWords(text) {
+  const words = [];
+  for (const match of text.matchAll(WORD_REGEX)) {
+    const previous = words[words.length - 1];
+    if (previous) {
+      previous.joinsNext = PHRASE_GAP_REGEX.test(text.substring(previous.endIndex, match.index));
+    }
+    words.push({
+      word: match[0],
+      startIndex: match.index,
+      endIndex: match.index + match[0].length,
+      joinsNext: false,
+    });
+  }
+  return words;
+}
+
+// ===== NORMALIZATION =====
+/**
+ * Normalizes text to NFC, so that text with decomposed tone marks (common from
+ * macOS and some websites) looks up the same dictionary keys as precomposed text.
+ *
+ * @param {string} text - Text in any normalization form
+ * @returns {Object} Object containing:
+ *   - text: The NFC-normalized text
+ *   - offsets: For each position in the original text (and its end), the
+ *     corresponding position in the normalized text
+ */
+export function normalizeText(text) {
+  const normalized = text.normalize('NFC');
+  if (normalized === text) {
+    return { text, offsets: Array.from({ length: text.length + 1 }, (_, i) => i) };
+  }
+
+  // Normalize each base character with its combining marks separately, so that
+  // every original position maps to the start of its character
+  const offsets = [];
+  let result = '';
+  const clusterRegex = /[^\p{M}]?\p{M}*/gu;
+  let cluster;
+  while ((cluster = clusterRegex.exec(text)) !== null && cluster.index < text.length) {
+    for (let i = 0; i < cluster[0].length; i++) {
+      offsets.push(result.length);
+    }
+    result += cluster[0].normalize('NFC');
+  }
+  offsets.push(result.length);
+
+  // Compositions across base characters (e.g. Hangul jamo) are not Vietnamese;
+  // keep the positions clamped to the text if they ever occur
+  if (result !== normalized) {
+    return { text: normalized, offsets: offsets.map(offset => Math.min(offset, normalized.length)) };
+  }
+  return { text: result, offsets };
+}
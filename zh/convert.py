@@ -3,7 +3,9 @@
 Convert vi2zhwikitxt.txt to vi2zhdict.txt format.
 
 Input format: vietnamese\tchinese_chars\tdefinition
-Output format: vietnamese : definition
+Output formats:
+  dict.txt: vietnamese : definition
+  chars.txt: vietnamese : chinese_chars (Hán/Nôm characters, space-separated)
 """
 
 import re
@@ -114,20 +116,44 @@ def clean_definition(text):
     return result
 
 
+def is_private_use(char):
+    """Check whether a character is in a Unicode Private Use Area."""
+    code = ord(char)
+    return 0xE000 <= code <= 0xF8FF or code >= 0xF0000
+
+
+def clean_chars(text):
+    """
+    Normalize the Hán/Nôm character column to single-space-separated candidates,
+    dropping candidates that use private-use code points (font-specific Nôm
+    glyphs that don't render elsewhere).
+
+    Returns: cleaned character string (empty if there are none)
+    """
+    candidates = [
+        candidate for candidate in text.split()
+        if not any(is_private_use(char) for char in candidate)
+    ]
+    return ' '.join(candidates)
+
+
 def main():
     """Main conversion function."""
     input_file = 'vi2zhwikitxt.txt'
     output_file = 'dict.txt'
+    chars_output_file = 'chars.txt'
 
-    print(f"Converting {input_file} to {output_file}...")
+    print(f"Converting {input_file} to {output_file} and {chars_output_file}...")
 
     total_lines = 0
     converted_lines = 0
     skipped_lines = 0
+    chars_lines = 0
 
     try:
         with open(input_file, 'r', encoding='utf-8') as infile, \
-             open(output_file, 'w', encoding='utf-8') as outfile:
+             open(output_file, 'w', encoding='utf-8') as outfile, \
+             open(chars_output_file, 'w', encoding='utf-8') as charsfile:
 
             for line_num, line in enumerate(infile, 1):
                 total_lines += 1
@@ -145,6 +171,12 @@ def main():
 
                 vietnamese, chinese_chars, definition = parsed
 
+                # Keep the Hán/Nôm characters even if the definition turns out empty
+                cleaned_chars = clean_chars(chinese_chars)
+                if cleaned_chars:
+                    charsfile.write(f"{vietnamese} : {cleaned_chars}\n")
+                    chars_lines += 1
+
                 # Clean the definition
                 cleaned_def = clean_definition(definition)
 
@@ -162,7 +194,8 @@ def main():
         print(f"Total lines processed: {total_lines}")
         print(f"Successfully converted: {converted_lines}")
         print(f"Skipped (empty/invalid): {skipped_lines}")
-        print(f"\nOutput written to: {output_file}")
+        print(f"Entries with Hán/Nôm characters: {chars_lines}")
+        print(f"\nOutput written to: {output_file}, {chars_output_file}")
 
     except FileNotFoundError:
         print(f"Error: Could not find input file '{input_file}'", file=sys.stderr)